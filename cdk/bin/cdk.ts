@@ -5,11 +5,17 @@ import { AuthStack } from '../lib/auth-stack';
 
 
 const app = new cdk.App();
-new ShoplineBwpSyncStack(app, 'ShoplineBwpSyncStack', {
-  description: 'Shopline and BWP managerment infrastructure',
-});
-
-new AuthStack(app, 'ShoplineBwpAuthStack', {
+const authStack = new AuthStack(app, 'ShoplineBwpAuthStack', {
   // 使用当前CLI配置的账号和区域
   description: 'Shopline and BWP authentication infrastructure',
+});
+
+new ShoplineBwpSyncStack(app, 'ShoplineBwpSyncStack', {
+  description: 'Shopline and BWP managerment infrastructure',
+  installationTable: authStack.installationTable,
+  bwpTokenStoreTable: authStack.bwpTokenStoreTable,
+  shoplineTokenStoreTable: authStack.shoplineTokenStoreTable,
+  shoplineCredentials: authStack.shoplineCredentials,
+  bwpCredentials: authStack.bwpCredentials,
+  sessionSecret: authStack.sessionSecret,
 });
\ No newline at end of file
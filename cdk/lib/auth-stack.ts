@@ -9,15 +9,24 @@ import * as events from 'aws-cdk-lib/aws-events';
 import * as targets from 'aws-cdk-lib/aws-events-targets';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as logs from 'aws-cdk-lib/aws-logs';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
 import { Duration, SecretValue } from 'aws-cdk-lib';
+import { METRICS_NAMESPACE, appMetric, createAlarmTopic, notify } from './monitoring';
 
 export class AuthStack extends cdk.Stack {
+  public readonly installationTable: dynamodb.Table;
+  public readonly bwpTokenStoreTable: dynamodb.Table;
+  public readonly shoplineTokenStoreTable: dynamodb.Table;
+  public readonly shoplineCredentials: secretsmanager.Secret;
+  public readonly bwpCredentials: secretsmanager.Secret;
+  public readonly sessionSecret: secretsmanager.Secret;
+
   constructor(scope: cdk.App, id: string, props?: cdk.StackProps) {
     super(scope, id, props);
 
-    // 验证和解析Lambda代码路径
-    const lambdaPath = path.resolve(__dirname, '../../shopline-bwp-sync/src/lambda/auth');
-    if (!fs.existsSync(lambdaPath)) {
+    // 验证和解析Lambda代码路径（打包整个 src 以便引用 utils）
+    const lambdaPath = path.resolve(__dirname, '../../shopline-bwp-sync/src');
+    if (!fs.existsSync(path.join(lambdaPath, 'lambda/auth'))) {
       throw new Error(`Lambda path does not exist: ${lambdaPath}`);
     }
 
@@ -31,6 +40,21 @@ export class AuthStack extends cdk.Stack {
       pointInTimeRecovery: true,
     });
 
+    const bwpTokenStoreTable = new dynamodb.Table(this, 'BwpTokenStore', {
+      partitionKey: { name: 'installation_id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      timeToLiveAttribute: 'ttl',
+    });
+
+    // 每个商店的 Shopline token 单独存储，避免并发安装互相覆盖
+    const shoplineTokenStoreTable = new dynamodb.Table(this, 'ShoplineTokenStore', {
+      partitionKey: { name: 'handle', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
     // Secrets
     const shoplineCredentials = new secretsmanager.Secret(this, 'ShoplineCredentials', {
       description: 'Shopline API credentials',
@@ -48,6 +72,24 @@ export class AuthStack extends cdk.Stack {
       },
     });
 
+    // 管理 API 会话 token 的签名密钥
+    const sessionSecret = new secretsmanager.Secret(this, 'SessionSecret', {
+      description: 'Signing key for management API session tokens',
+      generateSecretString: {
+        secretStringTemplate: JSON.stringify({}),
+        generateStringKey: 'signingKey',
+        excludePunctuation: true,
+        passwordLength: 64,
+      },
+    });
+
+    this.installationTable = installationTable;
+    this.bwpTokenStoreTable = bwpTokenStoreTable;
+    this.shoplineTokenStoreTable = shoplineTokenStoreTable;
+    this.shoplineCredentials = shoplineCredentials;
+    this.bwpCredentials = bwpCredentials;
+    this.sessionSecret = sessionSecret;
+
     // 创建Lambda角色
     const lambdaRole = new iam.Role(this, 'AuthLambdaRole', {
       assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com'),
@@ -79,19 +121,23 @@ export class AuthStack extends cdk.Stack {
     // 共享环境变量
     const commonEnvVars = {
       INSTALLATION_TABLE: installationTable.tableName,
+      BWP_TOKEN_STORE_TABLE: bwpTokenStoreTable.tableName,
+      SHOPLINE_TOKEN_STORE_TABLE: shoplineTokenStoreTable.tableName,
       SHOPLINE_CREDENTIALS_ARN: shoplineCredentials.secretArn,
       BWP_CREDENTIALS_ARN: bwpCredentials.secretArn,
+      SESSION_SECRET_ARN: sessionSecret.secretArn,
       APP_URL: process.env.APP_URL || '',
       NODE_OPTIONS: '--enable-source-maps',
       API_GATEWAY_ID: api.restApiId,
       API_GATEWAY_STAGE: 'prod',
+      METRICS_NAMESPACE,
     };
 
     // 创建Lambda函数
-    const createLambda = (name: string, handler: string, codePath: string) => {
+    const createLambda = (name: string, handler: string) => {
       return new lambda.Function(this, name, {
         runtime: lambda.Runtime.NODEJS_18_X,
-        code: lambda.Code.fromAsset(codePath),
+        code: lambda.Code.fromAsset(lambdaPath),
         handler,
         environment: commonEnvVars,
         timeout: Duration.seconds(30),
@@ -125,45 +171,47 @@ export class AuthStack extends cdk.Stack {
     // Shopline Lambda Functions
     const shoplineInstallHandler = createLambda(
       'ShoplineInstallHandler',
-      'install.handler',
-      path.join(lambdaPath, 'shopline')
+      'lambda/auth/shopline/install.handler'
     );
 
     const shoplineCallbackHandler = createLambda(
       'ShoplineCallbackHandler',
-      'callback.handler',
-      path.join(lambdaPath, 'shopline')
+      'lambda/auth/shopline/callback.handler'
+    );
+
+    const shoplineSessionHandler = createLambda(
+      'ShoplineSessionHandler',
+      'lambda/auth/shopline/session.handler'
     );
 
     const shoplineTokenRefreshHandler = createLambda(
       'ShoplineTokenRefreshHandler',
-      'refresh.handler',
-      path.join(lambdaPath, 'shopline')
+      'lambda/auth/shopline/refresh.handler'
     );
 
     // BWP Lambda Functions
     const bwpAuthHandler = createLambda(
       'BwpAuthHandler',
-      'auth.handler',
-      path.join(lambdaPath, 'bwp')
+      'lambda/auth/bwp/auth.handler'
     );
 
     const bwpCallbackHandler = createLambda(
       'BwpCallbackHandler',
-      'callback.handler',
-      path.join(lambdaPath, 'bwp')
+      'lambda/auth/bwp/callback.handler'
     );
 
     const bwpTokenRefreshHandler = createLambda(
       'BwpTokenRefreshHandler',
-      'refresh.handler',
-      path.join(lambdaPath, 'bwp')
+      'lambda/auth/bwp/refresh.handler'
     );
 
     // Grant permissions
     installationTable.grantReadWriteData(lambdaRole);
+    bwpTokenStoreTable.grantReadWriteData(lambdaRole);
+    shoplineTokenStoreTable.grantReadWriteData(lambdaRole);
     shoplineCredentials.grantRead(lambdaRole);
     bwpCredentials.grantRead(lambdaRole);
+    sessionSecret.grantRead(lambdaRole);
 
     // Shopline routes
     const shoplineInstall = shopline.addResource('install');
@@ -181,6 +229,14 @@ export class AuthStack extends cdk.Stack {
       },
     });
 
+    // 商家打开应用时用签名参数换取管理 API 的会话 token
+    const shoplineSession = shopline.addResource('session');
+    shoplineSession.addMethod('GET', new apigateway.LambdaIntegration(shoplineSessionHandler), {
+      requestParameters: {
+        'method.request.querystring.handle': true,
+      },
+    });
+
     // BWP routes
     const bwpAuth = bwp.addResource('auth');
     bwpAuth.addMethod('GET', new apigateway.LambdaIntegration(bwpAuthHandler), {
@@ -193,7 +249,7 @@ export class AuthStack extends cdk.Stack {
     bwpCallback.addMethod('GET', new apigateway.LambdaIntegration(bwpCallbackHandler), {
       requestParameters: {
         'method.request.querystring.code': true,
-        'method.request.querystring.handle': true,
+        'method.request.querystring.state': true,
       },
     });
 
@@ -204,12 +260,86 @@ export class AuthStack extends cdk.Stack {
       description: 'Refresh Shopline access tokens periodically',
     });
 
+    // BWP access token 有效期较短，需要比刷新窗口更频繁地执行
     new events.Rule(this, 'BwpTokenRefreshRule', {
-      schedule: events.Schedule.rate(Duration.days(7)),
+      schedule: events.Schedule.rate(Duration.hours(1)),
       targets: [new targets.LambdaFunction(bwpTokenRefreshHandler)],
       description: 'Refresh BWP access tokens periodically',
     });
 
+    // 监控：token 刷新失败会导致商店的同步和写回中断，告警发送到 AlarmTopic
+    const alarmTopic = createAlarmTopic(this, 'AlarmTopic');
+    const tokenRefreshFailures = (platform: string, period: Duration) => appMetric('TokenRefreshFailures', {
+      dimensionsMap: { Platform: platform },
+      period,
+    });
+
+    // BWP token 每小时刷新，连续 3 次刷新都有失败时告警
+    const bwpTokenRefreshAlarm = notify(new cloudwatch.Alarm(this, 'BwpTokenRefreshAlarm', {
+      alarmDescription: 'BWP token refresh failed in 3 consecutive hourly runs',
+      metric: tokenRefreshFailures('bwp', Duration.hours(1)),
+      threshold: 1,
+      evaluationPeriods: 3,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    }), alarmTopic);
+
+    // Shopline token 每周刷新（过期时同步过程中也会刷新），一天内多次失败时告警
+    const shoplineTokenRefreshAlarm = notify(new cloudwatch.Alarm(this, 'ShoplineTokenRefreshAlarm', {
+      alarmDescription: 'Shopline token refresh failed repeatedly within a day',
+      metric: tokenRefreshFailures('shopline', Duration.days(1)),
+      threshold: 3,
+      evaluationPeriods: 1,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    }), alarmTopic);
+
+    // 刷新任务本身出错（超时、未捕获的异常）
+    const tokenRefreshErrorsAlarm = notify(new cloudwatch.Alarm(this, 'TokenRefreshErrorsAlarm', {
+      alarmDescription: 'A token refresh function failed',
+      metric: new cloudwatch.MathExpression({
+        expression: 'shopline + bwp',
+        usingMetrics: {
+          shopline: shoplineTokenRefreshHandler.metricErrors({ statistic: cloudwatch.Stats.SUM }),
+          bwp: bwpTokenRefreshHandler.metricErrors({ statistic: cloudwatch.Stats.SUM }),
+        },
+        period: Duration.hours(1),
+      }),
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    }), alarmTopic);
+
+    const dashboard = new cloudwatch.Dashboard(this, 'AuthDashboard', {
+      dashboardName: `${this.stackName}-auth`,
+    });
+
+    dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'Token refreshes',
+        left: ['shopline', 'bwp'].flatMap((platform) => [
+          appMetric('TokenRefreshes', { dimensionsMap: { Platform: platform }, period: Duration.hours(1), label: `${platform} refreshed` }),
+          tokenRefreshFailures(platform, Duration.hours(1)).with({ label: `${platform} failed` }),
+        ]),
+        width: 8,
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'Auth API',
+        left: [
+          api.metricCount({ label: 'Requests' }),
+          api.metricClientError({ label: '4xx' }),
+          api.metricServerError({ label: '5xx' }),
+        ],
+        width: 8,
+      }),
+      new cloudwatch.AlarmStatusWidget({
+        title: 'Alarms',
+        alarms: [bwpTokenRefreshAlarm, shoplineTokenRefreshAlarm, tokenRefreshErrorsAlarm],
+        width: 8,
+      }),
+    );
+
     // Outputs
     new cdk.CfnOutput(this, 'ApiUrl', {
       value: api.url,
@@ -0,0 +1,41 @@
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as cloudwatchActions from 'aws-cdk-lib/aws-cloudwatch-actions';
+import * as sns from 'aws-cdk-lib/aws-sns';
+import * as subscriptions from 'aws-cdk-lib/aws-sns-subscriptions';
+import { Duration } from 'aws-cdk-lib';
+import { Construct } from 'constructs';
+
+// Lambda 通过 Embedded Metric Format 写入日志的自定义指标，命名空间与 utils/metrics.mjs 一致
+export const METRICS_NAMESPACE = 'ShoplineBwpSync';
+
+// 自定义指标，默认按 5 分钟求和；不指定 dimensionsMap 时为所有维度的汇总值
+export function appMetric(
+  metricName: string,
+  props: Omit<cloudwatch.MetricProps, 'namespace' | 'metricName'> = {}
+): cloudwatch.Metric {
+  return new cloudwatch.Metric({
+    namespace: METRICS_NAMESPACE,
+    metricName,
+    statistic: cloudwatch.Stats.SUM,
+    period: Duration.minutes(5),
+    ...props,
+  });
+}
+
+// 告警通知的 SNS topic，部署时通过 context alarmEmail 指定接收告警的邮箱
+export function createAlarmTopic(scope: Construct, id: string): sns.Topic {
+  const topic = new sns.Topic(scope, id);
+  const alarmEmail = scope.node.tryGetContext('alarmEmail');
+  if (alarmEmail) {
+    topic.addSubscription(new subscriptions.EmailSubscription(alarmEmail));
+  }
+  return topic;
+}
+
+// 告警和恢复时都通知 topic
+export function notify(alarm: cloudwatch.Alarm, topic: sns.ITopic): cloudwatch.Alarm {
+  const action = new cloudwatchActions.SnsAction(topic);
+  alarm.addAlarmAction(action);
+  alarm.addOkAction(action);
+  return alarm;
+}
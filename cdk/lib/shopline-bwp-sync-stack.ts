@@ -8,43 +8,108 @@ import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
 import * as events from 'aws-cdk-lib/aws-events';
 import * as targets from 'aws-cdk-lib/aws-events-targets';
 import * as iam from 'aws-cdk-lib/aws-iam';
+import * as sqs from 'aws-cdk-lib/aws-sqs';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
+import * as sfn from 'aws-cdk-lib/aws-stepfunctions';
+import * as tasks from 'aws-cdk-lib/aws-stepfunctions-tasks';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
 import { Duration } from 'aws-cdk-lib';
+import { METRICS_NAMESPACE, appMetric, createAlarmTopic, notify } from './monitoring';
+
+// 安装记录、BWP token 和应用凭证由 AuthStack 创建并写入
+export interface ShoplineBwpSyncStackProps extends cdk.StackProps {
+  installationTable: dynamodb.ITable;
+  bwpTokenStoreTable: dynamodb.ITable;
+  shoplineTokenStoreTable: dynamodb.ITable;
+  shoplineCredentials: secretsmanager.ISecret;
+  bwpCredentials: secretsmanager.ISecret;
+  // 管理 API 会话 token 的签名密钥
+  sessionSecret: secretsmanager.ISecret;
+}
 
 export class ShoplineBwpSyncStack extends cdk.Stack {
-  constructor(scope: cdk.App, id: string, props?: cdk.StackProps) {
+  constructor(scope: cdk.App, id: string, props: ShoplineBwpSyncStackProps) {
     super(scope, id, props);
 
-    // DynamoDB Tables
-    const installationTable = new dynamodb.Table(this, 'InstallationTable', {
+    const {
+      installationTable,
+      bwpTokenStoreTable,
+      shoplineTokenStoreTable,
+      shoplineCredentials,
+      bwpCredentials,
+      sessionSecret,
+    } = props;
+
+    // 幂等记录：已处理的 webhook
+    const idempotencyTable = new dynamodb.Table(this, 'IdempotencyTable', {
       partitionKey: { name: 'id', type: dynamodb.AttributeType.STRING },
-      sortKey: { name: 'platform', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      timeToLiveAttribute: 'ttl',
+    });
+
+    // 产品映射：商店 + Shopline 产品 / 变体 id 对应的 BWP id、最近同步的内容 hash、同步状态和错误
+    const productMappingTable = new dynamodb.Table(this, 'ProductMappingTable', {
+      partitionKey: { name: 'handle', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'shoplineId', type: dynamodb.AttributeType.STRING },
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
       removalPolicy: cdk.RemovalPolicy.RETAIN,
       pointInTimeRecovery: true,
     });
 
-    const bwpTokenStoreTable = new dynamodb.Table(this, 'BwpTokenStore', {
-      partitionKey: { name: 'installation_id', type: dynamodb.AttributeType.STRING },
+    // 按 BWP 产品 / SKU id 反查，用于处理 BWP 侧的事件
+    productMappingTable.addGlobalSecondaryIndex({
+      indexName: 'BwpIdIndex',
+      partitionKey: { name: 'bwpId', type: dynamodb.AttributeType.STRING },
+    });
+
+    // 同步历史：每次同步的计数和错误（run#），以及每个产品写入 BWP 的变更（product#），保留 90 天
+    const syncHistoryTable = new dynamodb.Table(this, 'SyncHistoryTable', {
+      partitionKey: { name: 'handle', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'recordKey', type: dynamodb.AttributeType.STRING },
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
       removalPolicy: cdk.RemovalPolicy.RETAIN,
       timeToLiveAttribute: 'ttl',
     });
 
-    // Secrets
-    const shoplineCredentials = new secretsmanager.Secret(this, 'ShoplineCredentials', {
-      description: 'Shopline API credentials',
+    // 差异报告：每个商店最新的报告（drift/<handle>/latest.json / latest.csv）
+    const driftReportBucket = new s3.Bucket(this, 'DriftReportBucket', {
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+    });
+
+    // Webhook 队列，处理失败超过重试次数的消息进入 DLQ
+    const webhookDeadLetterQueue = new sqs.Queue(this, 'ShoplineWebhookDLQ', {
+      retentionPeriod: Duration.days(14),
     });
 
-    const bwpCredentials = new secretsmanager.Secret(this, 'BwpCredentials', {
-      description: 'BWP API credentials',
+    // 可见性超时按 AWS 建议取 worker 超时的 6 倍
+    const webhookQueue = new sqs.Queue(this, 'ShoplineWebhookQueue', {
+      visibilityTimeout: Duration.minutes(30),
+      retentionPeriod: Duration.days(4),
+      deadLetterQueue: {
+        queue: webhookDeadLetterQueue,
+        maxReceiveCount: 5,
+      },
     });
 
     // Lambda Functions
     const lambdaEnvironment = {
+      WEBHOOK_QUEUE_URL: webhookQueue.queueUrl,
       INSTALLATION_TABLE: installationTable.tableName,
       BWP_TOKEN_STORE_TABLE: bwpTokenStoreTable.tableName,
+      SHOPLINE_TOKEN_STORE_TABLE: shoplineTokenStoreTable.tableName,
+      IDEMPOTENCY_TABLE: idempotencyTable.tableName,
+      PRODUCT_MAPPING_TABLE: productMappingTable.tableName,
+      SYNC_HISTORY_TABLE: syncHistoryTable.tableName,
+      DRIFT_REPORT_BUCKET: driftReportBucket.bucketName,
       SHOPLINE_CREDENTIALS_ARN: shoplineCredentials.secretArn,
       BWP_CREDENTIALS_ARN: bwpCredentials.secretArn,
+      SESSION_SECRET_ARN: sessionSecret.secretArn,
+      METRICS_NAMESPACE,
     };
 
     // Common Lambda role
@@ -59,25 +124,79 @@ export class ShoplineBwpSyncStack extends cdk.Stack {
     
     installationTable.grantReadWriteData(lambdaRole);
     bwpTokenStoreTable.grantReadWriteData(lambdaRole);
+    shoplineTokenStoreTable.grantReadWriteData(lambdaRole);
+    idempotencyTable.grantReadWriteData(lambdaRole);
+    productMappingTable.grantReadWriteData(lambdaRole);
+    syncHistoryTable.grantReadWriteData(lambdaRole);
+    driftReportBucket.grantReadWrite(lambdaRole);
     shoplineCredentials.grantRead(lambdaRole);
     bwpCredentials.grantRead(lambdaRole);
+    sessionSecret.grantRead(lambdaRole);
 
     // Shopline Webhook Handler
     const shoplineWebhookHandler = new lambda.Function(this, 'ShoplineWebhookHandler', {
       runtime: lambda.Runtime.NODEJS_18_X,
-      code: lambda.Code.fromAsset('../shopline-bwp-sync/src/lambda'),
-      handler: 'webhook.handler',
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/shopline/webhook.handler',
+      environment: {
+        ...lambdaEnvironment,
+        // 请求体中的 updated_at 与当前时间相差超过该值的 webhook 视为重放
+        WEBHOOK_MAX_AGE_MINUTES: String(this.node.tryGetContext('webhookMaxAgeMinutes') ?? 60),
+      },
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    webhookQueue.grantSendMessages(shoplineWebhookHandler);
+
+    // Shopline Webhook Worker (consumes the webhook queue)
+    // 一条消息可能发出多个平台请求，每个请求限流时最多退避重试 4 次（单次等待最长 20 秒、请求超时 15 秒），
+    // 超时按一条消息的重试预算设置，每次只处理一条消息，超时不会影响同一批的其他消息
+    const shoplineWebhookWorker = new lambda.Function(this, 'ShoplineWebhookWorker', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/shopline/worker.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.minutes(5),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    shoplineWebhookWorker.addEventSource(new lambdaEventSources.SqsEventSource(webhookQueue, {
+      batchSize: 1,
+      reportBatchItemFailures: true,
+    }));
+
+    // BWP Inbound Handler (BWP events from EventBridge, queued for the webhook worker)
+    const bwpInboundHandler = new lambda.Function(this, 'BwpInboundHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/bwp/inbound.handler',
       environment: lambdaEnvironment,
       timeout: Duration.seconds(30),
       memorySize: 256,
       role: lambdaRole,
     });
 
-    // Event Handler (for EventBridge)
+    webhookQueue.grantSendMessages(bwpInboundHandler);
+
+    // Store List Handler (input of the sync state machine)
+    const storeListHandler = new lambda.Function(this, 'StoreListHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/bwp/stores.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(60),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Event Handler (full sync of a single store)
     const eventHandler = new lambda.Function(this, 'EventHandler', {
       runtime: lambda.Runtime.NODEJS_18_X,
-      code: lambda.Code.fromAsset('../shopline-bwp-sync/src/lambda'),
-      handler: 'event.handler',
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/bwp/event.handler',
       environment: lambdaEnvironment,
       timeout: Duration.seconds(300),
       memorySize: 512,
@@ -87,10 +206,103 @@ export class ShoplineBwpSyncStack extends cdk.Stack {
     // Product CRUD Handler
     const productCrudHandler = new lambda.Function(this, 'ProductCrudHandler', {
       runtime: lambda.Runtime.NODEJS_18_X,
-      code: lambda.Code.fromAsset('../shopline-bwp-sync/src/lambda'),
-      handler: 'product/crud.handler',
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/product/crud.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Mapping Config Handler
+    const mappingConfigHandler = new lambda.Function(this, 'MappingConfigHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/mapping/config.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Conflict Handler：列出并人工解决产品冲突
+    const conflictHandler = new lambda.Function(this, 'ConflictHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/conflict/conflicts.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(60),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Sync History Handler：同步记录、孤儿产品和产品审计记录
+    const syncHistoryHandler = new lambda.Function(this, 'SyncHistoryHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/sync/history.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Sync Trigger Handler：通过 API 立即同步商店或单个产品，支持试运行
+    const syncTriggerHandler = new lambda.Function(this, 'SyncTriggerHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/sync/trigger.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Drift Report Handler：返回最近保存的差异报告，或异步触发生成
+    const driftReportHandler = new lambda.Function(this, 'DriftReportHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/report/drift.handler',
       environment: lambdaEnvironment,
       timeout: Duration.seconds(30),
+      memorySize: 512,
+      role: lambdaRole,
+    });
+
+    // Drift Report Scheduler：列出开启 driftReport 的商店，作为差异报告状态机 Map 的输入
+    const driftReportScheduler = new lambda.Function(this, 'DriftReportScheduler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/report/scheduled.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.minutes(1),
+      memorySize: 256,
+      role: lambdaRole,
+    });
+
+    // Drift Report Generator：生成并保存一个商店的差异报告。
+    // API 触发的异步调用失败时不自动重试，重新请求即可
+    const driftReportGenerator = new lambda.Function(this, 'DriftReportGenerator', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/report/generate.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.minutes(15),
+      memorySize: 512,
+      role: lambdaRole,
+      retryAttempts: 0,
+    });
+
+    driftReportHandler.addEnvironment('DRIFT_REPORT_GENERATOR_FUNCTION', driftReportGenerator.functionName);
+    driftReportGenerator.grantInvoke(driftReportHandler);
+
+    // 管理 API 的 authorizer：验证会话 token，并把会话所属的商店传给接口
+    const sessionAuthorizerHandler = new lambda.Function(this, 'SessionAuthorizerHandler', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset('../shopline-bwp-sync/src'),
+      handler: 'lambda/auth/shopline/authorizer.handler',
+      environment: lambdaEnvironment,
+      timeout: Duration.seconds(10),
       memorySize: 256,
       role: lambdaRole,
     });
@@ -119,36 +331,370 @@ export class ShoplineBwpSyncStack extends cdk.Stack {
       },
     });
 
+    const sessionAuthorizer = new apigateway.TokenAuthorizer(this, 'SessionAuthorizer', {
+      handler: sessionAuthorizerHandler,
+      resultsCacheTtl: Duration.minutes(5),
+    });
+
+    // 管理 API 的商店由会话决定，查询参数 handle 可省略，指定时必须与会话一致
+    const managementMethodOptions: apigateway.MethodOptions = {
+      authorizer: sessionAuthorizer,
+      authorizationType: apigateway.AuthorizationType.CUSTOM,
+    };
+
     // API Resources and Methods
     const webhooks = api.root.addResource('webhooks');
     const shoplineWebhook = webhooks.addResource('shopline');
     shoplineWebhook.addMethod('POST', new apigateway.LambdaIntegration(shoplineWebhookHandler));
 
     const products = api.root.addResource('products');
-    products.addMethod('GET', new apigateway.LambdaIntegration(productCrudHandler), {
-      requestParameters: {
-        'method.request.querystring.handle': true,
-      },
-    });
-    
+    for (const method of ['GET', 'POST']) {
+      products.addMethod(method, new apigateway.LambdaIntegration(productCrudHandler), managementMethodOptions);
+    }
+
     const product = products.addResource('{id}');
-    product.addMethod('PUT', new apigateway.LambdaIntegration(productCrudHandler), {
-      requestParameters: {
-        'method.request.querystring.handle': true,
+    for (const method of ['GET', 'PUT', 'DELETE']) {
+      product.addMethod(method, new apigateway.LambdaIntegration(productCrudHandler), managementMethodOptions);
+    }
+
+    const productHistory = product.addResource('history');
+    productHistory.addMethod('GET', new apigateway.LambdaIntegration(syncHistoryHandler), managementMethodOptions);
+
+    const productSync = product.addResource('sync');
+    productSync.addMethod('POST', new apigateway.LambdaIntegration(syncTriggerHandler), managementMethodOptions);
+
+    const sync = api.root.addResource('sync');
+    sync.addMethod('POST', new apigateway.LambdaIntegration(syncTriggerHandler), managementMethodOptions);
+    const syncRuns = sync.addResource('runs');
+    syncRuns.addMethod('GET', new apigateway.LambdaIntegration(syncHistoryHandler), managementMethodOptions);
+    const syncOrphans = sync.addResource('orphans');
+    syncOrphans.addMethod('GET', new apigateway.LambdaIntegration(syncHistoryHandler), managementMethodOptions);
+
+    const mapping = api.root.addResource('mapping');
+    for (const method of ['GET', 'PUT', 'DELETE']) {
+      mapping.addMethod(method, new apigateway.LambdaIntegration(mappingConfigHandler), managementMethodOptions);
+    }
+
+    const conflicts = api.root.addResource('conflicts');
+    conflicts.addMethod('GET', new apigateway.LambdaIntegration(conflictHandler), managementMethodOptions);
+
+    const conflictResolve = conflicts.addResource('{id}').addResource('resolve');
+    conflictResolve.addMethod('POST', new apigateway.LambdaIntegration(conflictHandler), managementMethodOptions);
+
+    const reports = api.root.addResource('reports');
+    const driftReport = reports.addResource('drift');
+    driftReport.addMethod('GET', new apigateway.LambdaIntegration(driftReportHandler), managementMethodOptions);
+    driftReport.addMethod('POST', new apigateway.LambdaIntegration(driftReportHandler), managementMethodOptions);
+
+    // 单个商店的同步（delta / full）：调用未完成时（Lambda 时间不足）从断点继续调用，直到完成
+    const syncStorePage = new tasks.LambdaInvoke(this, 'SyncStorePage', {
+      lambdaFunction: eventHandler,
+      payloadResponseOnly: true,
+      retryOnServiceExceptions: true,
+    });
+
+    const storeSyncDefinition = syncStorePage.next(
+      new sfn.Choice(this, 'StoreSyncCompleted')
+        .when(sfn.Condition.booleanEquals('$.completed', true), new sfn.Succeed(this, 'StoreSyncSucceeded'))
+        .otherwise(syncStorePage)
+    );
+
+    const storeSyncStateMachine = new sfn.StateMachine(this, 'StoreSyncStateMachine', {
+      definitionBody: sfn.DefinitionBody.fromChainable(storeSyncDefinition),
+      timeout: Duration.minutes(30),
+    });
+
+    // 通过 API 手动同步单个商店
+    syncTriggerHandler.addEnvironment('STORE_SYNC_STATE_MACHINE_ARN', storeSyncStateMachine.stateMachineArn);
+    storeSyncStateMachine.grantStartExecution(syncTriggerHandler);
+
+    // 同步：列出商店后每个商店启动一个独立的执行，单个商店失败不影响其他商店
+    const listStores = new tasks.LambdaInvoke(this, 'ListStores', {
+      lambdaFunction: storeListHandler,
+      payloadResponseOnly: true,
+      retryOnServiceExceptions: true,
+    });
+
+    const syncStore = new tasks.StepFunctionsStartExecution(this, 'SyncStore', {
+      stateMachine: storeSyncStateMachine,
+      integrationPattern: sfn.IntegrationPattern.RUN_JOB,
+      associateWithParent: true,
+      input: sfn.TaskInput.fromObject({ 'handle.$': '$.handle', 'mode.$': '$.mode', 'trigger.$': '$.trigger' }),
+      resultSelector: {
+        'status.$': '$.Status',
       },
+      resultPath: '$.result',
+    });
+
+    // 商店执行失败或超时时记录失败结果，Map 继续处理其他商店
+    syncStore.addCatch(
+      new sfn.Pass(this, 'StoreSyncFailed', {
+        parameters: {
+          'handle.$': '$.handle',
+          result: {
+            status: 'FAILED',
+            'error.$': '$.error.Error',
+            'cause.$': '$.error.Cause',
+          },
+        },
+      }),
+      { resultPath: '$.error' }
+    );
+
+    const syncStores = new sfn.Map(this, 'SyncStores', {
+      itemsPath: '$.stores',
+      maxConcurrency: 5,
+    }).itemProcessor(syncStore);
+
+    const syncStateMachine = new sfn.StateMachine(this, 'SyncStateMachine', {
+      definitionBody: sfn.DefinitionBody.fromChainable(listStores.next(syncStores)),
+      timeout: Duration.hours(2),
     });
 
-    // EventBridge Rule for periodic sync
+    // EventBridge Rule for periodic delta sync (products updated since the last sync)
     const syncRule = new events.Rule(this, 'SyncRule', {
       schedule: events.Schedule.rate(Duration.hours(1)),
     });
 
-    syncRule.addTarget(new targets.LambdaFunction(eventHandler));
+    syncRule.addTarget(new targets.SfnStateMachine(syncStateMachine, {
+      input: events.RuleTargetInput.fromObject({ mode: 'delta', trigger: 'scheduled' }),
+    }));
+
+    // EventBridge Rule for daily full reconciliation
+    const reconciliationRule = new events.Rule(this, 'ReconciliationRule', {
+      schedule: events.Schedule.cron({ minute: '30', hour: '3' }),
+    });
+
+    reconciliationRule.addTarget(new targets.SfnStateMachine(syncStateMachine, {
+      input: events.RuleTargetInput.fromObject({ mode: 'full', trigger: 'scheduled' }),
+    }));
+
+    // 差异报告：列出开启 driftReport 的商店后每个商店单独生成报告，单个商店失败不影响其他商店
+    const listDriftStores = new tasks.LambdaInvoke(this, 'ListDriftStores', {
+      lambdaFunction: driftReportScheduler,
+      payloadResponseOnly: true,
+      retryOnServiceExceptions: true,
+    });
+
+    const generateDriftReport = new tasks.LambdaInvoke(this, 'GenerateDriftReport', {
+      lambdaFunction: driftReportGenerator,
+      payloadResponseOnly: true,
+      retryOnServiceExceptions: true,
+      resultPath: '$.result',
+    });
+
+    generateDriftReport.addCatch(
+      new sfn.Pass(this, 'DriftReportFailed', {
+        parameters: {
+          'handle.$': '$.handle',
+          result: {
+            status: 'FAILED',
+            'error.$': '$.error.Error',
+            'cause.$': '$.error.Cause',
+          },
+        },
+      }),
+      { resultPath: '$.error' }
+    );
+
+    const generateDriftReports = new sfn.Map(this, 'GenerateDriftReports', {
+      itemsPath: '$.stores',
+      maxConcurrency: 5,
+    }).itemProcessor(generateDriftReport);
+
+    const driftReportStateMachine = new sfn.StateMachine(this, 'DriftReportStateMachine', {
+      definitionBody: sfn.DefinitionBody.fromChainable(listDriftStores.next(generateDriftReports)),
+      timeout: Duration.hours(2),
+    });
+
+    // EventBridge Rule for the daily drift report, after the full reconciliation
+    const driftReportRule = new events.Rule(this, 'DriftReportRule', {
+      schedule: events.Schedule.cron({ minute: '0', hour: '5' }),
+    });
+
+    driftReportRule.addTarget(new targets.SfnStateMachine(driftReportStateMachine));
+
+    // BWP 事件通过 EventBridge partner event bus 投递，总线名称由 context bwpEventBusName 指定，未指定时使用默认总线
+    const bwpEventBusName = this.node.tryGetContext('bwpEventBusName');
+    const bwpEventRule = new events.Rule(this, 'BwpEventRule', {
+      eventBus: bwpEventBusName
+        ? events.EventBus.fromEventBusName(this, 'BwpEventBus', bwpEventBusName)
+        : undefined,
+      eventPattern: {
+        source: events.Match.prefix('aws.partner/buywithprime.amazon.com'),
+        detailType: ['ORDER_ACCEPTED', 'PRODUCT_UPDATED', 'PRODUCT_STATUS_CHANGED'],
+      },
+    });
+
+    bwpEventRule.addTarget(new targets.LambdaFunction(bwpInboundHandler, {
+      retryAttempts: 3,
+    }));
+
+    // 监控：告警发送到 AlarmTopic
+    const alarmTopic = createAlarmTopic(this, 'AlarmTopic');
+
+    // 处理失败超过重试次数的 webhook 进入 DLQ，需要人工处理后重新投递
+    const webhookDlqAlarm = notify(new cloudwatch.Alarm(this, 'WebhookDlqAlarm', {
+      alarmDescription: 'Shopline webhooks or BWP events failed repeatedly and were moved to the DLQ',
+      metric: webhookDeadLetterQueue.metricApproximateNumberOfMessagesVisible({
+        period: Duration.minutes(5),
+        statistic: cloudwatch.Stats.MAXIMUM,
+      }),
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    }), alarmTopic);
+
+    // 定时同步每小时执行，连续 syncStaleHours 小时（context，默认 6）没有成功完成的商店同步时告警
+    const syncStaleHours = Number(this.node.tryGetContext('syncStaleHours') ?? 6);
+    const syncStaleAlarm = notify(new cloudwatch.Alarm(this, 'SyncStaleAlarm', {
+      alarmDescription: `No scheduled store sync has succeeded in ${syncStaleHours} hours`,
+      metric: appMetric('SyncRunsSucceeded', { dimensionsMap: { Trigger: 'scheduled' }, period: Duration.hours(1) }),
+      threshold: 1,
+      evaluationPeriods: syncStaleHours,
+      comparisonOperator: cloudwatch.ComparisonOperator.LESS_THAN_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.BREACHING,
+    }), alarmTopic);
+
+    // 单个商店的同步执行失败或超时
+    const storeSyncFailedAlarm = notify(new cloudwatch.Alarm(this, 'StoreSyncFailedAlarm', {
+      alarmDescription: 'A store sync execution failed or timed out',
+      metric: new cloudwatch.MathExpression({
+        expression: 'failed + timedOut',
+        usingMetrics: {
+          failed: storeSyncStateMachine.metricFailed({ statistic: cloudwatch.Stats.SUM }),
+          timedOut: storeSyncStateMachine.metricTimedOut({ statistic: cloudwatch.Stats.SUM }),
+        },
+        period: Duration.hours(1),
+      }),
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    }), alarmTopic);
+
+    // 平台 API 持续返回 5xx 或超时（已包含重试的每次请求）
+    const platformApiErrorAlarm = notify(new cloudwatch.Alarm(this, 'PlatformApiErrorAlarm', {
+      alarmDescription: 'Shopline or BWP API requests keep failing with 5xx responses or network errors',
+      metric: appMetric('PlatformApiErrors'),
+      threshold: 10,
+      evaluationPeriods: 3,
+      datapointsToAlarm: 2,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    }), alarmTopic);
+
+    const platforms = ['shopline', 'bwp'];
+    const dashboard = new cloudwatch.Dashboard(this, 'SyncDashboard', {
+      dashboardName: `${this.stackName}-sync`,
+    });
+
+    dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'Products synced to BWP',
+        left: ['ProductsCreated', 'ProductsUpdated', 'ProductsDeleted'].map((name) => appMetric(name, { label: name })),
+        width: 8,
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'Sync failures',
+        left: [
+          appMetric('ProductSyncFailures', { label: 'Product failures' }),
+          appMetric('SyncRunsFailed', { label: 'Failed runs' }),
+          appMetric('WebhookFailures', { label: 'Webhook failures' }),
+        ],
+        width: 8,
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'Sync runs succeeded by trigger',
+        left: ['webhook', 'scheduled', 'manual'].map((trigger) => appMetric('SyncRunsSucceeded', {
+          dimensionsMap: { Trigger: trigger },
+          label: trigger,
+          period: Duration.hours(1),
+        })),
+        width: 8,
+      }),
+    );
+
+    dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'Platform API latency (p50 / p99)',
+        left: platforms.flatMap((platform) => ['p50', 'p99'].map((statistic) => appMetric('PlatformApiLatency', {
+          dimensionsMap: { Platform: platform },
+          statistic,
+          label: `${platform} ${statistic}`,
+        }))),
+        width: 12,
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'Platform API errors and throttling',
+        left: platforms.flatMap((platform) => ['PlatformApiErrors', 'PlatformApiThrottled'].map((name) => appMetric(name, {
+          dimensionsMap: { Platform: platform },
+          label: `${platform} ${name === 'PlatformApiErrors' ? 'errors' : '429'}`,
+        }))),
+        right: platforms.map((platform) => appMetric('PlatformApiRequests', {
+          dimensionsMap: { Platform: platform },
+          label: `${platform} requests`,
+        })),
+        width: 12,
+      }),
+    );
+
+    dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'Webhook queue',
+        left: [
+          webhookQueue.metricApproximateNumberOfMessagesVisible({ label: 'Queued' }),
+          webhookDeadLetterQueue.metricApproximateNumberOfMessagesVisible({ label: 'DLQ' }),
+        ],
+        right: [webhookQueue.metricApproximateAgeOfOldestMessage({ label: 'Oldest message age' })],
+        width: 8,
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'Store sync executions',
+        left: [
+          storeSyncStateMachine.metricSucceeded({ label: 'Succeeded', statistic: cloudwatch.Stats.SUM }),
+          storeSyncStateMachine.metricFailed({ label: 'Failed', statistic: cloudwatch.Stats.SUM }),
+          storeSyncStateMachine.metricTimedOut({ label: 'Timed out', statistic: cloudwatch.Stats.SUM }),
+        ],
+        width: 8,
+      }),
+      new cloudwatch.AlarmStatusWidget({
+        title: 'Alarms',
+        alarms: [webhookDlqAlarm, syncStaleAlarm, storeSyncFailedAlarm, platformApiErrorAlarm],
+        width: 8,
+      }),
+    );
 
     // Outputs
     new cdk.CfnOutput(this, 'ApiUrl', {
       value: api.url,
       description: 'API Gateway URL',
     });
+
+    new cdk.CfnOutput(this, 'SyncStateMachineArn', {
+      value: syncStateMachine.stateMachineArn,
+      description: 'Sync state machine ARN',
+    });
+
+    new cdk.CfnOutput(this, 'DriftReportBucketName', {
+      value: driftReportBucket.bucketName,
+      description: 'Drift report bucket name',
+    });
+
+    new cdk.CfnOutput(this, 'AlarmTopicArn', {
+      value: alarmTopic.topicArn,
+      description: 'SNS topic for sync alarms',
+    });
+
+    new cdk.CfnOutput(this, 'WebhookQueueArn', {
+      value: webhookQueue.queueArn,
+      description: 'Shopline webhook queue ARN',
+    });
+
+    new cdk.CfnOutput(this, 'WebhookDeadLetterQueueArn', {
+      value: webhookDeadLetterQueue.queueArn,
+      description: 'Shopline webhook dead-letter queue ARN',
+    });
   }
 }
\ No newline at end of file
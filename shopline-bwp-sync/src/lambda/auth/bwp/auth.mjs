@@ -1,50 +1,127 @@
 // src/lambda/auth/bwp/auth.mjs
+import crypto from 'crypto';
 import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { getBWPAppCredentials, getSessionSigningKey, getShoplineCredentials } from '../../../utils/credentials.mjs';
+import { BwpClient } from '../../../utils/bwp-client.mjs';
+import { verifySessionToken } from '../../../utils/session.mjs';
+import { verifySign } from '../../../utils/shopline-client.mjs';
+import { findStoreInfo } from '../../../utils/store.mjs';
+import { STATE_TTL_MS, buildState, getCallbackUrl } from './oauth.mjs';
+import { logger, withLogging } from '../../../utils/logger.mjs';
 
 const dynamodb = new DynamoDB();
 
-export const handler = async (event) => {
-  try {
-    const queryParams = event.queryStringParameters || {};
-    const { shop } = queryParams;
+// 签名参数的有效期，与换取会话 token 时一致
+const SIGNED_PARAMS_MAX_AGE_MS = 5 * 60 * 1000;
+
+// 发起授权的商店：会话 token（Authorization: Bearer）或 Shopline 后台打开应用时带签名的参数，都不满足时返回 null
+async function getRequestingHandle(event) {
+  const headers = event.headers || {};
+  const authorization = headers.Authorization || headers.authorization;
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    const claims = scheme === 'Bearer' ? verifySessionToken(token, await getSessionSigningKey()) : null;
+    return claims?.sub || null;
+  }
+
+  const params = event.queryStringParameters || {};
+  const { appkey, handle, timestamp, sign } = params;
+  if (!appkey || !handle || !timestamp || !sign) {
+    return null;
+  }
+  const credentials = await getShoplineCredentials();
+  if (!verifySign(params, credentials.appSecret) || Math.abs(Date.now() - Number(timestamp)) > SIGNED_PARAMS_MAX_AGE_MS) {
+    return null;
+  }
+  return handle;
+}
 
+export const handler = withLogging(async (event) => {
+  try {
+    const shop = await getRequestingHandle(event);
     if (!shop) {
       return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Missing shop parameter' }),
+        statusCode: 401,
+        body: JSON.stringify({ error: 'Unauthorized' }),
       };
     }
 
+    // 只能为已安装且尚未关联 BWP 的商店发起授权
+    const storeInfo = await findStoreInfo(shop);
+    if (storeInfo?.status !== 'installed') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ error: 'Store is not installed' }),
+      };
+    }
+    if (storeInfo.bwpInstallationId) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ error: 'Store is already linked to BWP' }),
+      };
+    }
+
+    const credentials = await getBWPAppCredentials();
+
+    // 生成一次性 state，callback 中校验
+    const nonce = crypto.randomBytes(16).toString('hex');
+
     // 生成BWP授权URL
-    const authUrl = new URL('https://api.buywithprime.amazon.com/oauth/authorize');
-    authUrl.searchParams.append('client_id', process.env.BWP_CLIENT_ID);
-    authUrl.searchParams.append('redirect_uri', process.env.CALLBACK_URL);
-    authUrl.searchParams.append('scope', 'products:read products:write');
-    authUrl.searchParams.append('state', shop);
-    authUrl.searchParams.append('response_type', 'code');
-
-    // 记录授权状态
-    await dynamodb.putItem({
-      TableName: process.env.INSTALLATION_TABLE,
-      Item: {
-        id: { S: shop },
-        platform: { S: 'bwp' },
-        status: { S: 'pending' },
-        createdAt: { N: Date.now().toString() },
-      },
+    const bwpClient = new BwpClient({ clientId: credentials.clientId });
+    const authUrl = bwpClient.getAuthorizeUrl({
+      redirectUri: getCallbackUrl(),
+      state: buildState(shop, nonce),
     });
 
+    // 记录授权状态，已完成的安装不会被重置为 pending
+    try {
+      await dynamodb.putItem({
+        TableName: process.env.INSTALLATION_TABLE,
+        Item: {
+          id: { S: shop },
+          platform: { S: 'bwp' },
+          status: { S: 'pending' },
+          oauthState: { S: nonce },
+          stateExpiresAt: { N: (Date.now() + STATE_TTL_MS).toString() },
+          createdAt: { N: Date.now().toString() },
+        },
+        ConditionExpression: 'attribute_not_exists(id) OR #status IN (:pending, :authorizing)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':pending': { S: 'pending' },
+          ':authorizing': { S: 'authorizing' },
+        },
+      });
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 409,
+          body: JSON.stringify({ error: 'Store is already linked to BWP' }),
+        };
+      }
+      throw error;
+    }
+
+    // 带会话 token 的请求来自应用页面的脚本，返回授权 URL 由页面跳转
+    const headers = event.headers || {};
+    if (headers.Authorization || headers.authorization) {
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ authUrl }),
+      };
+    }
+
     return {
       statusCode: 302,
       headers: {
-        Location: authUrl.toString(),
+        Location: authUrl,
       },
     };
   } catch (error) {
-    console.error('Error:', error);
+    logger.error('Failed to start BWP authorization', { error });
     return {
       statusCode: 500,
       body: JSON.stringify({ error: 'Internal server error' }),
     };
   }
-};
\ No newline at end of file
+});
@@ -0,0 +1,151 @@
+// src/lambda/auth/bwp/callback.mjs
+import crypto from 'crypto';
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { updateStoreBWPInfo } from '../../../utils/store.mjs';
+import { getBWPAppCredentials } from '../../../utils/credentials.mjs';
+import { BwpClient } from '../../../utils/bwp-client.mjs';
+import { getCallbackUrl, parseState, toTokenRecord } from './oauth.mjs';
+import { logger, withLogging } from '../../../utils/logger.mjs';
+
+const dynamodb = new DynamoDB();
+const docClient = DynamoDBDocumentClient.from(dynamodb);
+
+// 校验 auth.mjs 写入的 state
+async function verifyState(state) {
+  const parsed = parseState(state);
+  if (!parsed) {
+    return null;
+  }
+
+  const { Item: installation } = await docClient.send(new GetCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: parsed.handle, platform: 'bwp' },
+  }));
+
+  if (!installation || installation.status !== 'pending' || !installation.oauthState) {
+    return null;
+  }
+
+  if (!installation.stateExpiresAt || installation.stateExpiresAt < Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(installation.oauthState);
+  const received = Buffer.from(parsed.nonce);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return parsed.handle;
+}
+
+export const handler = withLogging(async (event) => {
+  try {
+    logger.info('BWP callback request received');
+    const params = event.queryStringParameters || {};
+    const { code, state } = params;
+
+    // 验证必要参数
+    if (!code || !state) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Missing required parameters' }),
+      };
+    }
+
+    const handle = await verifyState(state);
+    if (!handle) {
+      return {
+        statusCode: 401,
+        body: JSON.stringify({ error: 'Invalid state' }),
+      };
+    }
+
+    // 使 state 立即失效，防止重放
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: process.env.INSTALLATION_TABLE,
+        Key: { id: handle, platform: 'bwp' },
+        UpdateExpression: 'REMOVE oauthState, stateExpiresAt SET #status = :status, updatedAt = :updatedAt',
+        ConditionExpression: 'oauthState = :nonce',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':status': 'authorizing',
+          ':updatedAt': Date.now(),
+          ':nonce': parseState(state).nonce,
+        },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 401,
+          body: JSON.stringify({ error: 'Invalid state' }),
+        };
+      }
+      throw error;
+    }
+
+    // 用 code 换取 token
+    const credentials = await getBWPAppCredentials();
+    const bwpClient = new BwpClient({
+      clientId: credentials.clientId,
+      clientSecret: credentials.clientSecret,
+    });
+    const tokenData = await bwpClient.exchangeCode(code, getCallbackUrl());
+
+    // 安装 ID 只使用 BWP 返回的值
+    const installationId = tokenData.installation_id || params.installation_id;
+    if (!installationId) {
+      throw new Error('BWP did not return an installation id');
+    }
+
+    // 先关联 Shopline 商店：商店未安装或已关联其他 BWP 安装时不保存 token
+    try {
+      await updateStoreBWPInfo(handle, installationId);
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 409,
+          body: JSON.stringify({ error: 'Shopline store is not installed or is already linked to BWP' }),
+        };
+      }
+      throw error;
+    }
+
+    const tokenRecord = toTokenRecord(installationId, handle, tokenData);
+
+    // 保存 token
+    await docClient.send(new PutCommand({
+      TableName: process.env.BWP_TOKEN_STORE_TABLE,
+      Item: tokenRecord,
+    }));
+
+    // 更新安装状态
+    await docClient.send(new UpdateCommand({
+      TableName: process.env.INSTALLATION_TABLE,
+      Key: { id: handle, platform: 'bwp' },
+      UpdateExpression: 'SET #status = :status, installationId = :installationId, updatedAt = :updatedAt, tokenExpiry = :tokenExpiry',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': 'installed',
+        ':installationId': installationId,
+        ':updatedAt': Date.now(),
+        ':tokenExpiry': new Date(tokenRecord.expiresAt).toISOString(),
+      },
+    }));
+
+    return {
+      statusCode: 302,
+      headers: {
+        Location: `${process.env.APP_URL}/installation-success?handle=${handle}&platform=bwp`,
+      },
+    };
+  } catch (error) {
+    logger.error('Failed to handle BWP callback', { error });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to complete installation' }),
+    };
+  }
+});
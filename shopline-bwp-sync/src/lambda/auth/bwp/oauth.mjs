@@ -0,0 +1,48 @@
+// src/lambda/auth/bwp/oauth.mjs
+
+// 授权 state 有效期
+export const STATE_TTL_MS = 10 * 60 * 1000;
+
+// BWP 未返回 refresh token 有效期时的默认值（秒）
+const DEFAULT_REFRESH_TOKEN_LIFETIME = 30 * 24 * 60 * 60;
+
+// 构建 callback URL，授权和换取 token 时必须保持一致
+export function getCallbackUrl() {
+  const region = process.env.AWS_REGION || 'us-east-1';
+  return `https://${process.env.API_GATEWAY_ID}.execute-api.${region}.amazonaws.com/${process.env.API_GATEWAY_STAGE}/auth/bwp/callback`;
+}
+
+// state 格式为 `${handle}:${nonce}`
+export function buildState(handle, nonce) {
+  return `${handle}:${nonce}`;
+}
+
+export function parseState(state) {
+  const index = state.lastIndexOf(':');
+  if (index <= 0 || index === state.length - 1) {
+    return null;
+  }
+  return { handle: state.slice(0, index), nonce: state.slice(index + 1) };
+}
+
+// 将 token 响应转换为 token store 记录
+export function toTokenRecord(installationId, handle, tokenData, previous = {}) {
+  const now = Date.now();
+  const refreshLifetime = tokenData.refresh_token_expires_in || DEFAULT_REFRESH_TOKEN_LIFETIME;
+  const refreshExpiresAt = tokenData.refresh_token
+    ? now + refreshLifetime * 1000
+    : previous.refreshExpiresAt;
+
+  return {
+    installation_id: installationId,
+    handle,
+    token: tokenData.access_token,
+    // 部分刷新响应不会返回新的 refresh token，沿用旧值
+    refresh_token: tokenData.refresh_token || previous.refresh_token,
+    expiresAt: now + tokenData.expires_in * 1000,
+    refreshExpiresAt,
+    // refresh token 失效后记录由 DynamoDB TTL 自动清理
+    ttl: Math.floor(refreshExpiresAt / 1000),
+    updatedAt: now,
+  };
+}
@@ -0,0 +1,126 @@
+// src/lambda/auth/bwp/refresh.mjs
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, ScanCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { getBWPAppCredentials } from '../../../utils/credentials.mjs';
+import { BwpClient } from '../../../utils/bwp-client.mjs';
+import { toTokenRecord } from './oauth.mjs';
+import { logger, withLogContext, withLogging } from '../../../utils/logger.mjs';
+import { putMetric } from '../../../utils/metrics.mjs';
+
+const dynamodb = new DynamoDB();
+const docClient = DynamoDBDocumentClient.from(dynamodb);
+
+// 距离过期不足该时间的 token 会被刷新，需大于刷新任务的执行间隔
+const REFRESH_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+// 获取所有 BWP token 记录
+async function getAllTokens() {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await docClient.send(new ScanCommand({
+      TableName: process.env.BWP_TOKEN_STORE_TABLE,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+// 刷新一个安装的 token，不需要刷新时返回 null，失败时记录后返回 false
+async function refreshInstallationToken(bwpClient, tokenItem) {
+  const installationId = tokenItem.installation_id;
+  try {
+    // 检查是否需要刷新
+    if (tokenItem.expiresAt > Date.now() + REFRESH_WINDOW_MS) {
+      logger.debug('BWP token does not need refresh yet');
+      return null;
+    }
+
+    if (!tokenItem.refresh_token) {
+      throw new Error('Missing refresh token');
+    }
+
+    const tokenData = await bwpClient.refreshToken(tokenItem.refresh_token);
+
+    const tokenRecord = toTokenRecord(installationId, tokenItem.handle, tokenData, tokenItem);
+
+    await docClient.send(new PutCommand({
+      TableName: process.env.BWP_TOKEN_STORE_TABLE,
+      Item: tokenRecord,
+    }));
+
+    // 更新数据库状态
+    if (tokenItem.handle) {
+      await docClient.send(new UpdateCommand({
+        TableName: process.env.INSTALLATION_TABLE,
+        Key: { id: tokenItem.handle, platform: 'bwp' },
+        UpdateExpression: 'SET #status = :status, updatedAt = :updatedAt, tokenExpiry = :tokenExpiry',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':status': 'token_refreshed',
+          ':updatedAt': Date.now(),
+          ':tokenExpiry': new Date(tokenRecord.expiresAt).toISOString(),
+        },
+      }));
+    }
+
+    putMetric('TokenRefreshes', 1, { dimensions: { Platform: 'bwp' } });
+    logger.info('Refreshed BWP token');
+    return true;
+  } catch (error) {
+    putMetric('TokenRefreshFailures', 1, { dimensions: { Platform: 'bwp' } });
+    logger.error('Failed to refresh BWP token', { error });
+    return false;
+  }
+}
+
+export const handler = withLogging(async (event) => {
+  try {
+    logger.info('BWP token refresh started');
+    const tokens = await getAllTokens();
+
+    if (tokens.length === 0) {
+      logger.info('No BWP tokens found to refresh');
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'No tokens to refresh' }),
+      };
+    }
+
+    const credentials = await getBWPAppCredentials();
+    const bwpClient = new BwpClient({
+      clientId: credentials.clientId,
+      clientSecret: credentials.clientSecret,
+    });
+    let refreshed = 0;
+    let failed = 0;
+
+    for (const tokenItem of tokens) {
+      const result = await withLogContext(
+        { installationId: tokenItem.installation_id, handle: tokenItem.handle },
+        () => refreshInstallationToken(bwpClient, tokenItem)
+      );
+      if (result === true) {
+        refreshed++;
+      } else if (result === false) {
+        failed++;
+      }
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: 'Token refresh completed', refreshed, failed }),
+    };
+  } catch (error) {
+    putMetric('TokenRefreshFailures', 1, { dimensions: { Platform: 'bwp' } });
+    logger.error('BWP token refresh failed', { error });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Token refresh failed' }),
+    };
+  }
+});
@@ -0,0 +1,41 @@
+// src/lambda/auth/shopline/authorizer.mjs
+import { getSessionSigningKey } from '../../../utils/credentials.mjs';
+import { findStoreInfo } from '../../../utils/store.mjs';
+import { verifySessionToken } from '../../../utils/session.mjs';
+import { logger, withLogging } from '../../../utils/logger.mjs';
+
+// 允许访问整个 API：授权结果按 token 缓存，同一会话会访问不同的接口
+function allowPolicy(handle, methodArn) {
+  const [arnPrefix, stage] = methodArn.split('/');
+  return {
+    principalId: handle,
+    policyDocument: {
+      Version: '2012-10-17',
+      Statement: [{
+        Action: 'execute-api:Invoke',
+        Effect: 'Allow',
+        Resource: `${arnPrefix}/${stage}/*`,
+      }],
+    },
+    // 管理 API 通过 requestContext.authorizer.handle 获取会话的商店
+    context: { handle },
+  };
+}
+
+// 管理 API 的 TOKEN authorizer：验证 Authorization: Bearer <会话 token>，且商店仍处于已安装状态
+export const handler = withLogging(async (event) => {
+  const [scheme, token] = String(event.authorizationToken || '').split(' ');
+  const claims = scheme === 'Bearer' ? verifySessionToken(token, await getSessionSigningKey()) : null;
+  if (!claims) {
+    // API Gateway 对该错误信息返回 401
+    throw new Error('Unauthorized');
+  }
+
+  const storeInfo = await findStoreInfo(claims.sub);
+  if (storeInfo?.status !== 'installed') {
+    logger.info('Rejected session for a store that is not installed', { handle: claims.sub });
+    throw new Error('Unauthorized');
+  }
+
+  return allowPolicy(claims.sub, event.methodArn);
+});
@@ -1,56 +1,19 @@
 // src/lambda/auth/shopline/callback.mjs
-import crypto from 'crypto';
-import { SecretsManager } from '@aws-sdk/client-secrets-manager';
 import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import fetch from 'node-fetch';
+import { getSessionSigningKey, getShoplineCredentials, saveShoplineToken } from '../../../utils/credentials.mjs';
+import { issueSessionToken } from '../../../utils/session.mjs';
+import { ShoplineClient, verifySign } from '../../../utils/shopline-client.mjs';
+import { appendLogContext, logger, withLogging } from '../../../utils/logger.mjs';
 
-const secretsManager = new SecretsManager();
 const dynamodb = new DynamoDB();
 
-// 获取Shopline凭证
-async function getShoplineCredentials() {
+export const handler = withLogging(async (event) => {
   try {
-    const secretValue = await secretsManager.getSecretValue({
-      SecretId: process.env.SHOPLINE_CREDENTIALS_ARN,
-    });
-    return JSON.parse(secretValue.SecretString);
-  } catch (error) {
-    console.error('Error fetching Shopline credentials:', error);
-    throw new Error('Failed to get Shopline credentials');
-  }
-}
-
-// 生成签名
-async function generateSign(params, secret) {
-  const sortedParams = Object.keys(params)
-    .sort()
-    .reduce((acc, key) => {
-      acc[key] = params[key];
-      return acc;
-    }, {});
-
-  const signString = Object.entries(sortedParams)
-    .map(([key, value]) => `${key}=${value}`)
-    .join('&') + secret;
-
-  return crypto
-    .createHash('md5')
-    .update(signString)
-    .digest('hex');
-}
-
-// 验证签名
-async function verifySign(params, secret) {
-  const { sign, ...rest } = params;
-  const calculatedSign = await generateSign(rest, secret);
-  return sign === calculatedSign;
-}
-
-export const handler = async (event) => {
-  try {
-    console.log('Callback request received:', event);
     const params = event.queryStringParameters || {};
     const { appkey, code, handle, timestamp, sign } = params;
+    // 授权码不写入日志
+    appendLogContext({ handle });
+    logger.info('Callback request received');
 
     // 验证必要参数
     if (!appkey || !code || !handle || !timestamp || !sign) {
@@ -64,61 +27,23 @@ export const handler = async (event) => {
     const credentials = await getShoplineCredentials();
 
     // 验证签名
-    if (!await verifySign(params, credentials.appSecret)) {
+    if (!verifySign(params, credentials.appSecret)) {
       return {
         statusCode: 401,
         body: JSON.stringify({ error: 'Invalid signature' }),
       };
     }
 
-    // 准备获取access token的请求
-    const tokenParams = {
-      appkey: credentials.appKey,
-      timestamp: Math.floor(Date.now() / 1000).toString(),
-    };
-
-    const tokenSign = await generateSign(tokenParams, credentials.appSecret);
-
     // 请求access token
-    const tokenResponse = await fetch(
-      `https://${handle}.myshopline.com/admin/oauth/token/create`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'appkey': credentials.appKey,
-          'timestamp': tokenParams.timestamp,
-          'sign': tokenSign,
-        },
-        body: JSON.stringify({ code }),
-      }
-    );
-
-    if (!tokenResponse.ok) {
-      console.error('Token request failed:', await tokenResponse.text());
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: 'Failed to get access token' }),
-      };
-    }
-
-    const tokenData = await tokenResponse.json();
-
-    // 更新存储的凭证
-    await secretsManager.putSecretValue({
-      SecretId: process.env.SHOPLINE_CREDENTIALS_ARN,
-      SecretString: JSON.stringify({
-        ...credentials,
-        tokens: {
-          ...(credentials.tokens || {}),
-          [handle]: {
-            accessToken: tokenData.access_token,
-            refreshToken: tokenData.refresh_token,
-            expiresAt: Date.now() + (tokenData.expires_in * 1000),
-          },
-        },
-      }),
+    const shoplineClient = new ShoplineClient({
+      handle,
+      appKey: credentials.appKey,
+      appSecret: credentials.appSecret,
     });
+    const token = await shoplineClient.createToken(code);
+
+    // 按商店保存 token
+    await saveShoplineToken(handle, token);
 
     // 更新安装状态
     await dynamodb.updateItem({
@@ -136,21 +61,24 @@ export const handler = async (event) => {
       ExpressionAttributeValues: {
         ':status': { S: 'installed' },
         ':updatedAt': { N: Date.now().toString() },
-        ':tokenExpiry': { S: new Date(Date.now() + (tokenData.expires_in * 1000)).toISOString() },
+        ':tokenExpiry': { S: new Date(token.expiresAt).toISOString() },
       },
     });
 
+    // 签发管理 API 的会话 token，放在 URL fragment 中，不会发送到服务器或写入访问日志
+    const session = issueSessionToken(handle, await getSessionSigningKey());
+
     return {
       statusCode: 302,
       headers: {
-        Location: `${process.env.APP_URL}/installation-success?handle=${handle}`,
+        Location: `${process.env.APP_URL}/installation-success?handle=${handle}#session=${session.token}`,
       },
     };
   } catch (error) {
-    console.error('Error handling callback:', error);
+    logger.error('Failed to handle Shopline callback', { error });
     return {
       statusCode: 500,
       body: JSON.stringify({ error: 'Failed to complete installation' }),
     };
   }
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,64 +1,19 @@
-import crypto from 'crypto';
-import { SecretsManager } from '@aws-sdk/client-secrets-manager';
 import { DynamoDB } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, PutCommand } from "@aws-sdk/lib-dynamodb";
+import { getShoplineCredentials } from '../../../utils/credentials.mjs';
+import { verifySign } from '../../../utils/shopline-client.mjs';
+import { generateId } from '../../../utils/common.mjs';
+import { appendLogContext, logger, withLogging } from '../../../utils/logger.mjs';
 
-const secretsManager = new SecretsManager();
 const dynamodb = new DynamoDB();
 const docClient = DynamoDBDocumentClient.from(dynamodb);
 
-// 获取Shopline凭证
-async function getShoplineCredentials() {
+export const handler = withLogging(async (event) => {
   try {
-    const secretValue = await secretsManager.getSecretValue({
-      SecretId: process.env.SHOPLINE_CREDENTIALS_ARN,
-    });
-    return JSON.parse(secretValue.SecretString);
-  } catch (error) {
-    console.error('Error fetching Shopline credentials:', error);
-    throw new Error('Failed to get Shopline credentials');
-  }
-}
-
-// 生成签名
-async function generateSign(params, secret) {
-  // 按字母顺序排序参数
-  const sortedParams = Object.keys(params)
-    .sort()
-    .reduce((acc, key) => {
-      acc[key] = params[key];
-      return acc;
-    }, {});
-
-  // 构造签名字符串
-  const signString = Object.entries(sortedParams)
-    .map(([key, value]) => `${key}=${value}`)
-    .join('&');
-
-  // 使用HMAC-SHA256生成签名
-  return crypto
-    .createHmac('sha256', secret)
-    .update(signString)
-    .digest('hex');
-}
-
-// 验证签名
-async function verifySign(params, secret) {
-  const { sign, ...rest } = params;
-  const calculatedSign = await generateSign(rest, secret);
-  return sign === calculatedSign;
-}
-
-// 生成唯一ID
-function generateUniqueId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
-}
-
-export const handler = async (event) => {
-  try {
-    console.log('Installation request received:', event);
     const params = event.queryStringParameters || {};
     const { appkey, handle, timestamp, sign } = params;
+    appendLogContext({ handle });
+    logger.info('Installation request received');
 
     // 验证必要参数
     if (!appkey || !handle || !timestamp || !sign) {
@@ -72,7 +27,7 @@ export const handler = async (event) => {
     const credentials = await getShoplineCredentials();
 
     // 验证签名
-    if (!await verifySign(params, credentials.appSecret)) {
+    if (!verifySign(params, credentials.appSecret)) {
       return {
         statusCode: 401,
         body: JSON.stringify({ error: 'Invalid signature' }),
@@ -80,7 +35,7 @@ export const handler = async (event) => {
     }
 
     // 生成唯一的安装ID
-    const installationId = generateUniqueId();
+    const installationId = generateId();
 
     // 记录安装状态
     await docClient.send(new PutCommand({
@@ -112,7 +67,7 @@ export const handler = async (event) => {
 
     const authUrl = `https://${handle}.myshopline.com/admin/oauth-web/#/oauth/authorize?${authParams.toString()}`;
 
-    console.log('Redirecting to:', authUrl); // 添加日志便于调试
+    logger.info('Redirecting to Shopline authorization', { authUrl });
 
     return {
       statusCode: 302,
@@ -121,10 +76,10 @@ export const handler = async (event) => {
       },
     };
   } catch (error) {
-    console.error('Error handling installation:', error);
+    logger.error('Failed to handle installation', { error });
     return {
       statusCode: 500,
       body: JSON.stringify({ error: 'Installation failed' }),
     };
   }
-};
\ No newline at end of file
+});
\ No newline at end of file
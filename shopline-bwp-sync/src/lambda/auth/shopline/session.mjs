@@ -0,0 +1,59 @@
+// src/lambda/auth/shopline/session.mjs
+import { getSessionSigningKey, getShoplineCredentials } from '../../../utils/credentials.mjs';
+import { findStoreInfo } from '../../../utils/store.mjs';
+import { issueSessionToken } from '../../../utils/session.mjs';
+import { verifySign } from '../../../utils/shopline-client.mjs';
+import { logger, withLogging } from '../../../utils/logger.mjs';
+
+// 签名参数的有效期，防止打开应用时的链接被重放
+const SIGNED_PARAMS_MAX_AGE_MS = 5 * 60 * 1000;
+
+// 商家在 Shopline 后台打开应用时，用带签名的参数换取管理 API 的会话 token
+export const handler = withLogging(async (event) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const { appkey, handle, timestamp, sign } = params;
+
+    // 验证必要参数
+    if (!appkey || !handle || !timestamp || !sign) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Missing required parameters' }),
+      };
+    }
+
+    const credentials = await getShoplineCredentials();
+    if (!verifySign(params, credentials.appSecret)) {
+      return {
+        statusCode: 401,
+        body: JSON.stringify({ error: 'Invalid signature' }),
+      };
+    }
+    if (Math.abs(Date.now() - Number(timestamp)) > SIGNED_PARAMS_MAX_AGE_MS) {
+      return {
+        statusCode: 401,
+        body: JSON.stringify({ error: 'Signature expired' }),
+      };
+    }
+
+    const storeInfo = await findStoreInfo(handle);
+    if (storeInfo?.status !== 'installed') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ error: 'Store is not installed' }),
+      };
+    }
+
+    const session = issueSessionToken(handle, await getSessionSigningKey());
+    return {
+      statusCode: 200,
+      body: JSON.stringify(session),
+    };
+  } catch (error) {
+    logger.error('Failed to issue session token', { error });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to issue session token' }),
+    };
+  }
+});
@@ -1,160 +1,276 @@
 // event.mjs
 
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
-import { SecretsManager } from "@aws-sdk/client-secrets-manager";
-import axios from 'axios';
-
-const dynamoClient = new DynamoDBClient({});
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
-const secretsManager = new SecretsManager();
-
-// 获取 Shopline 凭证
-async function getShoplineCredentials() {
-  const secretValue = await secretsManager.getSecretValue({
-    SecretId: process.env.SHOPLINE_CREDENTIALS_ARN,
-  });
-  return JSON.parse(secretValue.SecretString);
-}
-
-// 获取 BWP 凭证和 token
-async function getBWPCredentials(installationId) {
-  const tokenData = await docClient.send(new GetCommand({
-    TableName: process.env.BWP_TOKEN_STORE_TABLE,
-    Key: { installation_id: installationId }
-  }));
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { getStoreInfo } from '../../utils/store.mjs';
+import {
+  acquireSyncLock,
+  getCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  getWatermark,
+  releaseSyncLock,
+  saveWatermark,
+  syncJobId,
+} from '../../utils/checkpoint.mjs';
+import { generateId } from '../../utils/common.mjs';
+import { findMappingByBwpId } from '../../utils/id-mapping.mjs';
+import { clearStaleOrphans, saveOrphan } from '../../utils/orphans.mjs';
+import { SYNC_TRIGGERS, createRunTally, saveSyncRun, startSyncRun, tallyResult } from '../../utils/sync-history.mjs';
+import { syncInventory } from '../../utils/inventory.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { getMappingOptions, loadBWPProducts, pushProductPage, removeProductFromBWP } from '../../utils/sync.mjs';
 
-  if (!tokenData.Item) {
-    throw new Error("BWP token not found");
-  }
+// 增量（delta）同步只处理水位之后更新的产品，全量（full）同步用于定期对账
+const SYNC_MODES = ['delta', 'full'];
 
-  const secretValue = await secretsManager.getSecretValue({
-    SecretId: process.env.BWP_CREDENTIALS_ARN,
-  });
-  const credentials = JSON.parse(secretValue.SecretString);
+// 剩余时间低于该值时保存断点并退出，留出写入断点的时间
+const TIMEOUT_SAFETY_MARGIN_MS = 30 * 1000;
 
-  return {
-    ...credentials,
-    accessToken: tokenData.Item.token,
-    refreshToken: tokenData.Item.refresh_token
-  };
-}
+// 孤儿对账每批检查的 BWP 产品数量，对应一次按 id 查询 Shopline
+const ORPHAN_BATCH_SIZE = 50;
 
-// 获取所有安装的商店信息
-async function getAllStores() {
-  const scanResult = await docClient.send(new ScanCommand({
-    TableName: process.env.INSTALLATION_TABLE,
-    FilterExpression: "platform = :platform",
-    ExpressionAttributeValues: {
-      ":platform": "shopline"
-    }
-  }));
+// 增量查询向前多取的时间，覆盖时钟偏差和水位记录前正在写入的更新
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
 
-  return scanResult.Items;
+// BWP 产品对应的 Shopline 产品 id：externalId，或映射表中记录的产品；
+// 都没有时不是由本应用同步的产品，返回 null，不作为孤儿处理
+async function getSourceProductId(handle, bwpProduct) {
+  if (bwpProduct.externalId) {
+    return String(bwpProduct.externalId);
+  }
+  const mapping = await findMappingByBwpId(bwpProduct.id);
+  if (!mapping || mapping.handle !== handle || !mapping.shoplineId.startsWith('product#')) {
+    return null;
+  }
+  return mapping.productId;
 }
 
-// 从 Shopline 获取产品详情
-async function getShoplineProducts(handle) {
-  const credentials = await getShoplineCredentials();
-  const response = await axios.get(`https://${handle}.myshopline.com/admin/openapi/v20230901/products`, {
-    headers: {
-      'Authorization': `Bearer ${credentials.accessToken}`,
-      'Content-Type': 'application/json'
+// 按 BWP 产品 id 顺序分批找出 Shopline 中已不存在的 BWP 产品并逐个记录，每批按 id 查询一次 Shopline；
+// 商店开启 autoRemoveOrphans 时直接从 BWP 删除。从 cursor（上次处理到的 BWP 产品 id）之后继续，
+// 时间不足时返回新的 cursor；全部完成后清除本次对账（scanId）没有再发现的孤儿记录
+async function reconcileOrphans(handle, { shoplineClient, bwpClient, mappingOptions, run, tally, cursor, scanId, hasTimeLeft }) {
+  const bwpProducts = (await bwpClient.listAllProducts())
+    .filter((product) => product.id !== undefined && (!cursor || String(product.id) > cursor))
+    .sort((a, b) => (String(a.id) < String(b.id) ? -1 : 1));
+
+  let found = 0;
+  let nextCursor = cursor;
+  for (let index = 0; index < bwpProducts.length; index += ORPHAN_BATCH_SIZE) {
+    if (!hasTimeLeft()) {
+      return { completed: false, cursor: nextCursor, found };
     }
-  });
-  return response.data.data;
-}
 
-// 从 BWP 获取产品详情
-async function getBWPProducts(installationId) {
-  const credentials = await getBWPCredentials(installationId);
-  const response = await axios.get(`https://api.buywithprime.amazon.com/v1/products`, {
-    headers: {
-      'Authorization': `Bearer ${credentials.accessToken}`,
-      'Content-Type': 'application/json'
+    const batch = [];
+    for (const bwpProduct of bwpProducts.slice(index, index + ORPHAN_BATCH_SIZE)) {
+      const productId = await getSourceProductId(handle, bwpProduct);
+      if (productId) {
+        batch.push({ productId, bwpProduct });
+      }
     }
-  });
-  return response.data;
-}
 
-// 更新 BWP 产品
-async function updateBWPProduct(installationId, productId, productData) {
-  const credentials = await getBWPCredentials(installationId);
-  await axios.put(`https://api.buywithprime.amazon.com/v1/products/${productId}`, productData, {
-    headers: {
-      'Authorization': `Bearer ${credentials.accessToken}`,
-      'Content-Type': 'application/json'
+    const existing = batch.length === 0 ? [] : (await shoplineClient.listProductsPage({
+      ids: batch.map(({ productId }) => productId).join(','),
+      fields: 'id',
+      limit: ORPHAN_BATCH_SIZE,
+    })).items;
+    const shoplineIds = new Set(existing.map((product) => String(product.id)));
+
+    for (const { productId, bwpProduct } of batch) {
+      if (shoplineIds.has(productId)) {
+        continue;
+      }
+      if (mappingOptions.config.autoRemoveOrphans) {
+        const result = await removeProductFromBWP({ handle, bwpClient, productId, bwpProductId: bwpProduct.id, run });
+        tallyResult(tally, result);
+        logger.info('Removed orphan BWP product', { handle, productId, bwpProductId: bwpProduct.id, action: result.action });
+        continue;
+      }
+      await saveOrphan(handle, { bwpProductId: bwpProduct.id, productId, title: bwpProduct.title }, scanId);
+      found += 1;
     }
-  });
-}
+    nextCursor = String(bwpProducts[Math.min(index + ORPHAN_BATCH_SIZE, bwpProducts.length) - 1].id);
+  }
 
-// 比较 Shopline 和 BWP 产品数据
-function compareProducts(shoplineProduct, bwpProduct) {
-  // 这里需要根据具体的数据结构来实现比较逻辑
-  // 以下只是一个简单的示例
-  return (
-    shoplineProduct.title !== bwpProduct.title ||
-    shoplineProduct.description !== bwpProduct.description ||
-    shoplineProduct.price !== bwpProduct.price
-  );
+  await clearStaleOrphans(handle, scanId);
+  return { completed: true, found };
 }
 
-// 将 Shopline 产品数据转换为 BWP 格式
-function convertToBWPFormat(shoplineProduct) {
-  // 这里需要根据 BWP 的 API 要求来转换数据
-  // 以下只是一个简单的示例
-  return {
-    title: shoplineProduct.title,
-    description: shoplineProduct.description,
-    price: shoplineProduct.price,
-    // 添加其他必要的字段...
-  };
-}
+// 同步一个商店，从 pageInfo 指定的页开始；时间不足时返回尚未处理的页游标。
+// 指定 updatedAtMin 时只查询之后更新的产品，并逐个获取对应的 BWP 产品，不再拉取整个 BWP 目录
+// detectOrphans 时在所有产品同步后对账 BWP 孤儿产品（phase 为 orphans），时间不足时返回对账的游标。
+// 各产品的结果计入 tally。force 时内容未变化的产品也重新与 BWP 比较（通过 API 手动触发的同步）
+async function syncStore(store, { phase = 'products', pageInfo, orphanCursor, updatedAtMin, detectOrphans, hasTimeLeft, run, tally, force }) {
+  const handle = store.id;
+  const shoplineClient = await createShoplineClient(handle);
+  const bwpClient = await createBwpClient(store.bwpInstallationId);
+  const mappingOptions = await getMappingOptions(store);
 
-export const handler = async (event) => {
-  try {
-    console.log('Received event:', JSON.stringify(event));
+  if (phase === 'products') {
+    const bwpProducts = updatedAtMin ? null : await loadBWPProducts(bwpClient);
+    const query = updatedAtMin ? { updated_at_min: new Date(updatedAtMin).toISOString() } : {};
 
-    const stores = await getAllStores();
+    let nextPageInfo = pageInfo;
+    do {
+      if (!hasTimeLeft()) {
+        return { completed: false, phase, pageInfo: nextPageInfo };
+      }
 
-    for (const store of stores) {
-      const handle = store.id;
-      const bwpInstallationId = store.bwpInstallationId;
+      const page = await shoplineClient.listProductsPage({ ...query, pageInfo: nextPageInfo });
+      await pushProductPage({
+        handle,
+        shoplineClient,
+        bwpClient,
+        products: page.items,
+        bwpProducts,
+        mappingOptions,
+        run,
+        tally,
+        force,
+      });
 
-      if (!bwpInstallationId) {
-        console.log(`BWP installation ID not found for store ${handle}, skipping...`);
-        continue;
+      const inventoryResults = await syncInventory({
+        handle,
+        shoplineClient,
+        bwpClient,
+        products: page.items,
+        config: mappingOptions.config,
+      });
+      const inventoryUpdated = inventoryResults.filter((result) => result.action === 'updated').length;
+      if (inventoryUpdated > 0) {
+        logger.info('Updated BWP SKU inventory', { handle, count: inventoryUpdated });
       }
+      nextPageInfo = page.nextPageInfo;
+    } while (nextPageInfo);
+  }
 
-      const shoplineProducts = await getShoplineProducts(handle);
-      const bwpProducts = await getBWPProducts(bwpInstallationId);
-
-      for (const shoplineProduct of shoplineProducts) {
-        const bwpProduct = bwpProducts.find(p => p.id === shoplineProduct.id);
-
-        if (bwpProduct && compareProducts(shoplineProduct, bwpProduct)) {
-          const updatedBWPProduct = convertToBWPFormat(shoplineProduct);
-          await updateBWPProduct(bwpInstallationId, shoplineProduct.id, updatedBWPProduct);
-          console.log(`Updated BWP product ${shoplineProduct.id} for store ${handle}`);
-        } else if (!bwpProduct) {
-          const newBWPProduct = convertToBWPFormat(shoplineProduct);
-          await updateBWPProduct(bwpInstallationId, shoplineProduct.id, newBWPProduct);
-          console.log(`Created new BWP product ${shoplineProduct.id} for store ${handle}`);
-        } else {
-          console.log(`No update needed for BWP product ${shoplineProduct.id} for store ${handle}`);
-        }
-      }
+  if (detectOrphans) {
+    const result = await reconcileOrphans(handle, {
+      shoplineClient,
+      bwpClient,
+      mappingOptions,
+      run,
+      tally,
+      cursor: orphanCursor,
+      scanId: run.id,
+      hasTimeLeft,
+    });
+    if (result.found > 0) {
+      logger.info('Found orphan BWP products', { handle, count: result.found });
     }
+    if (!result.completed) {
+      return { completed: false, phase: 'orphans', orphanCursor: result.cursor };
+    }
+  }
+
+  return { completed: true };
+}
+
+// 同步单个商店，由同步状态机按商店分发调用。
+// 本次调用未完成时保存断点并返回 completed: false，状态机会再次调用以续跑。
+export const handler = withLogging(async (event, context) => {
+  logger.info('Received event', { event });
+
+  const { handle } = event;
+  if (!handle) {
+    throw new Error('Missing handle');
+  }
+  const mode = SYNC_MODES.includes(event.mode) ? event.mode : 'delta';
+  // 定时规则传入 scheduled，手动启动状态机时默认为 manual
+  const trigger = SYNC_TRIGGERS.includes(event.trigger) ? event.trigger : 'manual';
+  appendLogContext({ handle, mode, trigger });
+
+  const store = await getStoreInfo(handle);
+  if (!store.bwpInstallationId) {
+    throw new Error(`BWP installation ID not found for store ${handle}`);
+  }
+
+  const hasTimeLeft = () => !context?.getRemainingTimeInMillis
+    || context.getRemainingTimeInMillis() > TIMEOUT_SAFETY_MARGIN_MS;
+
+  // 同一商店同一模式同时只运行一个执行。lockId 由 API 启动时传入，定时执行在首次调用时生成，
+  // 之后的调用通过返回值传递；每次调用续期，其他执行持有锁时跳过本次同步
+  const jobId = syncJobId(mode, handle);
+  const lockId = event.lockId || generateId();
+  if (!await acquireSyncLock(jobId, lockId)) {
+    logger.warn('Another sync is in progress, skipping');
+    return { handle, mode, completed: true, skipped: true };
+  }
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify({ message: 'Product sync completed successfully' })
+  // 续跑时沿用首次调用的开始时间和查询条件，保证分页游标和水位一致。
+  // 断点属于已中止的执行（如状态机超时，没有清除断点）时丢弃，该次同步记为失败
+  let checkpoint = await getCheckpoint(jobId);
+  if (checkpoint && checkpoint.lockId !== lockId) {
+    logger.warn('Discarding checkpoint of an aborted sync', { runId: checkpoint.run?.id });
+    if (checkpoint.run) {
+      await saveSyncRun(checkpoint.run, createRunTally(), { status: 'failed' });
+    }
+    await clearCheckpoint(jobId);
+    checkpoint = null;
+  }
+  if (checkpoint) {
+    logger.info('Resuming sync from checkpoint');
+  } else {
+    const watermark = mode === 'delta' ? await getWatermark(handle) : null;
+    checkpoint = {
+      startedAt: Date.now(),
+      updatedAtMin: watermark ? watermark - WATERMARK_OVERLAP_MS : null,
+      force: event.force === true,
     };
+    if (mode === 'delta' && !watermark) {
+      logger.info('No watermark, running a full sync');
+    }
+  }
+
+  // 同步记录在首次调用时创建，续跑时累加到同一条记录
+  const { startedAt, updatedAtMin, force = false } = checkpoint;
+  const run = checkpoint.run || await startSyncRun(handle, { trigger, mode });
+  appendLogContext({ runId: run.id });
+  const tally = createRunTally();
+  let result;
+  try {
+    result = await syncStore(store, {
+      phase: checkpoint.phase,
+      pageInfo: checkpoint.pageInfo,
+      orphanCursor: checkpoint.orphanCursor,
+      updatedAtMin,
+      detectOrphans: mode === 'full',
+      hasTimeLeft,
+      run,
+      tally,
+      force,
+    });
   } catch (error) {
-    console.error('Error processing event:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to process event' })
-    };
+    logger.error('Sync failed', { error });
+    await saveSyncRun(run, tally, { status: 'failed' });
+    // 下次同步重新开始，不从失败的断点续跑
+    await clearCheckpoint(jobId);
+    await releaseSyncLock(jobId, lockId);
+    throw error;
+  }
+
+  if (!result.completed) {
+    await saveSyncRun(run, tally, { status: 'running' });
+    await saveCheckpoint(jobId, {
+      handle,
+      pageInfo: result.pageInfo,
+      phase: result.phase,
+      orphanCursor: result.orphanCursor ?? null,
+      startedAt,
+      updatedAtMin,
+      force,
+      run,
+      lockId,
+    });
+    logger.info('Sync paused', { tally });
+    return { handle, mode, lockId, completed: false };
+  }
+
+  await saveSyncRun(run, tally, { status: 'completed' });
+  await saveWatermark(handle, startedAt);
+  if (checkpoint.id) {
+    await clearCheckpoint(jobId);
   }
-};
\ No newline at end of file
+  await releaseSyncLock(jobId, lockId);
+  logger.info('Sync completed', { tally });
+  return { handle, mode, completed: true };
+});
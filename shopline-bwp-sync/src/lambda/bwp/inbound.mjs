@@ -0,0 +1,40 @@
+// inbound.mjs
+
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { findHandleByBwpInstallation } from '../../utils/store.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+
+const sqsClient = new SQSClient({});
+
+// 接收 EventBridge 转发的 BWP 事件，按安装 ID 找到商店后放入 webhook 队列，由 worker 写回 Shopline
+export const handler = withLogging(async (event) => {
+  const topic = event['detail-type'];
+  const installationId = event.detail?.installationId;
+  appendLogContext({ eventId: event.id, topic, installationId });
+  logger.info('Received BWP event', { event });
+
+  if (!installationId) {
+    logger.info('Ignoring BWP event without installation ID');
+    return { action: 'ignored', eventId: event.id };
+  }
+
+  const handle = await findHandleByBwpInstallation(installationId);
+  if (!handle) {
+    logger.info('Ignoring BWP event for unknown installation');
+    return { action: 'ignored', eventId: event.id };
+  }
+
+  await sqsClient.send(new SendMessageCommand({
+    QueueUrl: process.env.WEBHOOK_QUEUE_URL,
+    MessageBody: JSON.stringify({
+      source: 'bwp',
+      topic,
+      handle,
+      webhookId: `bwp#${event.id}`,
+      payload: event.detail,
+      receivedAt: Date.now(),
+    }),
+  }));
+
+  return { action: 'queued', eventId: event.id };
+});
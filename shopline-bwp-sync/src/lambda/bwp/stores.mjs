@@ -0,0 +1,25 @@
+// stores.mjs
+
+import { iterateStores } from '../../utils/store.mjs';
+import { logger, withLogging } from '../../utils/logger.mjs';
+
+// 列出已关联 BWP 的商店，作为同步状态机 Map 的输入；mode 为 delta（默认）或 full，
+// trigger 为 scheduled（定时规则）或 manual（默认，手动启动）
+export const handler = withLogging(async (event) => {
+  logger.info('Received event', { event });
+
+  const mode = event?.mode === 'full' ? 'full' : 'delta';
+  const trigger = event?.trigger === 'scheduled' ? 'scheduled' : 'manual';
+
+  const stores = [];
+  for await (const store of iterateStores()) {
+    if (!store.bwpInstallationId) {
+      logger.info('BWP installation ID not found, skipping store', { handle: store.id });
+      continue;
+    }
+    stores.push({ handle: store.id, mode, trigger });
+  }
+
+  logger.info('Found stores to sync', { count: stores.length, mode, trigger });
+  return { stores };
+});
@@ -0,0 +1,166 @@
+// topics.mjs
+
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { getStoreInfo } from '../../utils/store.mjs';
+import { findMappingByBwpId, getVariantMapping } from '../../utils/id-mapping.mjs';
+import { claimWebhook, completeWebhook, hashContent, recordEcho, releaseWebhook } from '../../utils/idempotency.mjs';
+import { isLocationIncluded } from '../../utils/inventory.mjs';
+import { toShoplineChanges } from '../../utils/product-mapping.mjs';
+import { findBWPProduct, getMappingOptions, prepareBWPData } from '../../utils/sync.mjs';
+import { logger } from '../../utils/logger.mjs';
+
+// 找到 BWP 订单行对应的 Shopline 变体：优先用 SKU 的 externalId（Shopline 变体 ID），其次按 BWP SKU id 反查
+async function findOrderLineVariant(handle, line) {
+  if (line.externalId) {
+    return getVariantMapping(handle, line.externalId);
+  }
+  if (line.skuId) {
+    const mapping = await findMappingByBwpId(line.skuId);
+    return mapping?.handle === handle && mapping.variantId ? mapping : null;
+  }
+  return null;
+}
+
+// 变体映射中没有库存项 ID 时从 Shopline 产品中获取
+async function getInventoryItemId(shoplineClient, variantMapping) {
+  if (variantMapping.inventoryItemId) {
+    return variantMapping.inventoryItemId;
+  }
+  const product = await shoplineClient.getProduct(variantMapping.productId);
+  const variant = (product.variants || []).find((item) => String(item.id) === variantMapping.variantId);
+  return variant?.inventory_item_id || null;
+}
+
+// 在计入 BWP 库存的地点中选择可用库存最多的地点扣减
+async function pickInventoryLocation(shoplineClient, inventoryItemId, config) {
+  const levels = await shoplineClient.listInventoryLevels({
+    inventoryItemIds: [inventoryItemId],
+    locationIds: config.inventoryLocations,
+  });
+  return (levels || [])
+    .filter((level) => isLocationIncluded(level.location_id, config))
+    .sort((a, b) => (Number(b.available) || 0) - (Number(a.available) || 0))[0] || null;
+}
+
+// 扣减后的收尾步骤失败不影响结果：库存已经变化，不能再让该行被重试
+async function afterLineAdjusted(handle, lineKey, inventoryItemId, fingerprint) {
+  try {
+    await completeWebhook(handle, lineKey);
+  } catch (error) {
+    logger.error('Failed to complete BWP order line claim', { handle, lineKey, error });
+  }
+  try {
+    await recordEcho(handle, 'inventory_item', inventoryItemId, fingerprint);
+  } catch (error) {
+    logger.error('Failed to record inventory echo', { handle, inventoryItemId, error });
+  }
+}
+
+// 扣减单个订单行的 Shopline 库存，扣减成功后立即完成该行的占用，并记录回声避免库存 webhook 再同步回 BWP。
+// 只有扣减前的步骤会抛出错误，此时库存未变化，可以释放占用重试
+async function decrementOrderLine(handle, shoplineClient, line, lineKey, config) {
+  const variantMapping = await findOrderLineVariant(handle, line);
+  if (!variantMapping) {
+    await completeWebhook(handle, lineKey);
+    return { action: 'skipped', sku: line.sku, reason: 'not_mapped' };
+  }
+
+  const inventoryItemId = await getInventoryItemId(shoplineClient, variantMapping);
+  const level = inventoryItemId && await pickInventoryLocation(shoplineClient, inventoryItemId, config);
+  if (!level) {
+    await completeWebhook(handle, lineKey);
+    return { action: 'skipped', sku: line.sku, reason: 'no_inventory_location' };
+  }
+
+  const adjusted = await shoplineClient.adjustInventoryLevel({
+    inventoryItemId,
+    locationId: level.location_id,
+    adjustment: -Number(line.quantity),
+  });
+  await afterLineAdjusted(handle, lineKey, inventoryItemId, `${level.location_id}:${adjusted?.available}`);
+  return { action: 'adjusted', sku: line.sku, variantId: variantMapping.variantId, quantity: -Number(line.quantity) };
+}
+
+// BWP 订单：按订单行扣减 Shopline 库存。每行单独占用，重试时不会重复扣减已处理的行
+async function handleOrderAccepted(handle, payload) {
+  const order = payload.order || payload;
+  const storeInfo = await getStoreInfo(handle);
+  const { config } = await getMappingOptions(storeInfo);
+  const shoplineClient = await createShoplineClient(handle);
+
+  const results = [];
+  const lineItems = order.lineItems || [];
+  for (const [index, line] of lineItems.entries()) {
+    const lineKey = `bwp-order#${order.id}#${index}`;
+    if (!await claimWebhook(handle, lineKey)) {
+      results.push({ action: 'skipped', sku: line.sku, reason: 'duplicate' });
+      continue;
+    }
+
+    try {
+      results.push(await decrementOrderLine(handle, shoplineClient, line, lineKey, config));
+    } catch (error) {
+      await releaseWebhook(handle, lineKey);
+      throw error;
+    }
+  }
+
+  logger.info('Applied BWP order', { handle, orderId: order.id, results });
+  return { action: 'processed', orderId: order.id, results };
+}
+
+// BWP 产品变更：只把以 BWP 为准的字段写回 Shopline，并记录回声避免产品 webhook 再同步回 BWP
+async function handleProductUpdated(handle, payload) {
+  const bwpProductId = payload.product?.id || payload.productId;
+  const mapping = await findMappingByBwpId(bwpProductId);
+  if (!mapping || mapping.handle !== handle || !mapping.shoplineId.startsWith('product#')) {
+    logger.info('BWP product is not mapped to a Shopline product', { handle, bwpProductId });
+    return { action: 'skipped', bwpProductId, reason: 'not_mapped' };
+  }
+
+  const storeInfo = await getStoreInfo(handle);
+  const mappingOptions = await getMappingOptions(storeInfo);
+  const bwpClient = await createBwpClient(storeInfo.bwpInstallationId);
+
+  // 事件中可能只有变化的字段，以 BWP 当前的产品为准
+  const bwpProduct = await findBWPProduct(bwpClient, bwpProductId);
+  if (!bwpProduct) {
+    return { action: 'skipped', bwpProductId, reason: 'not_found' };
+  }
+
+  const changes = toShoplineChanges(bwpProduct, mappingOptions.config);
+  if (!changes) {
+    return { action: 'skipped', bwpProductId, reason: 'not_owned' };
+  }
+
+  const shoplineClient = await createShoplineClient(handle);
+  await shoplineClient.updateProduct(mapping.productId, changes);
+
+  // 按 products/update webhook 的处理方式计算写回后的内容，用于识别回声
+  const { bwpData } = await prepareBWPData({
+    shoplineClient,
+    shoplineProduct: await shoplineClient.getProduct(mapping.productId),
+    bwpProduct,
+    mappingOptions,
+  });
+  await recordEcho(handle, 'product', mapping.productId, hashContent(bwpData));
+
+  logger.info('Updated Shopline product from BWP', { handle, productId: mapping.productId, bwpProductId, changes });
+  return { action: 'updated', productId: mapping.productId, bwpProductId, fields: Object.keys(changes) };
+}
+
+export const bwpTopicHandlers = {
+  ORDER_ACCEPTED: handleOrderAccepted,
+  PRODUCT_UPDATED: handleProductUpdated,
+  PRODUCT_STATUS_CHANGED: handleProductUpdated,
+};
+
+// 按事件类型分发 BWP 事件，未处理的类型直接忽略
+export async function handleBwpTopic(topic, handle, payload) {
+  const topicHandler = bwpTopicHandlers[topic];
+  if (!topicHandler) {
+    logger.info('Ignoring unsupported BWP event', { handle, topic });
+    return { action: 'ignored', topic };
+  }
+  return topicHandler(handle, payload);
+}
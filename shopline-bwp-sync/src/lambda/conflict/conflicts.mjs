@@ -0,0 +1,92 @@
+// conflicts.mjs
+
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { findStoreInfo } from '../../utils/store.mjs';
+import { getAuthorizedHandle } from '../../utils/session.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { CONFLICT_RESOLUTIONS, getConflict, listConflicts } from '../../utils/conflicts.mjs';
+import { getMappingOptions, resolveProductConflict } from '../../utils/sync.mjs';
+
+export const handler = withLogging(async (event) => {
+  const { httpMethod, body, pathParameters } = event;
+  // 只能操作会话所属的商店
+  const handle = getAuthorizedHandle(event);
+  appendLogContext({ handle });
+
+  if (!handle) {
+    return {
+      statusCode: 403,
+      body: JSON.stringify({ message: 'Forbidden' })
+    };
+  }
+
+  try {
+    const storeInfo = await findStoreInfo(handle);
+    if (!storeInfo) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Store not found' })
+      };
+    }
+
+    // GET /conflicts：列出待人工解决的冲突
+    if (httpMethod === 'GET' && !pathParameters?.id) {
+      const conflicts = await listConflicts(handle);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ conflicts })
+      };
+    }
+
+    // POST /conflicts/{id}/resolve：id 为 Shopline 产品 ID
+    if (httpMethod === 'POST' && pathParameters?.id) {
+      let resolution;
+      try {
+        ({ resolution } = JSON.parse(body || '{}'));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: 'Invalid JSON body' })
+        };
+      }
+      if (!CONFLICT_RESOLUTIONS.includes(resolution)) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: `resolution must be one of ${CONFLICT_RESOLUTIONS.join(', ')}` })
+        };
+      }
+
+      const conflict = await getConflict(handle, pathParameters.id);
+      if (!conflict) {
+        return {
+          statusCode: 404,
+          body: JSON.stringify({ message: 'Conflict not found' })
+        };
+      }
+
+      const result = await resolveProductConflict({
+        handle,
+        shoplineClient: await createShoplineClient(handle),
+        bwpClient: await createBwpClient(storeInfo.bwpInstallationId),
+        conflict,
+        resolution,
+        mappingOptions: await getMappingOptions(storeInfo),
+      });
+      return {
+        statusCode: 200,
+        body: JSON.stringify(result)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      body: JSON.stringify({ message: 'Not Found' })
+    };
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal Server Error', error: error.message })
+    };
+  }
+});
@@ -0,0 +1,89 @@
+// config.mjs
+
+import { findStoreInfo } from '../../utils/store.mjs';
+import { getAuthorizedHandle } from '../../utils/session.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import {
+  deleteMappingConfig,
+  getMappingConfig,
+  saveMappingConfig,
+  validateMappingConfig,
+} from '../../utils/mapping-config.mjs';
+
+export const handler = withLogging(async (event) => {
+  const { httpMethod, body } = event;
+  // 只能操作会话所属的商店
+  const handle = getAuthorizedHandle(event);
+  appendLogContext({ handle });
+
+  if (!handle) {
+    return {
+      statusCode: 403,
+      body: JSON.stringify({ message: 'Forbidden' })
+    };
+  }
+
+  try {
+    if (!await findStoreInfo(handle)) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Store not found' })
+      };
+    }
+
+    switch (httpMethod) {
+      case 'GET': {
+        const config = await getMappingConfig(handle);
+        return {
+          statusCode: 200,
+          body: JSON.stringify(config)
+        };
+      }
+
+      case 'PUT': {
+        let config;
+        try {
+          config = JSON.parse(body || '{}');
+        } catch (error) {
+          return {
+            statusCode: 400,
+            body: JSON.stringify({ message: 'Invalid JSON body' })
+          };
+        }
+
+        const errors = validateMappingConfig(config);
+        if (errors.length > 0) {
+          return {
+            statusCode: 400,
+            body: JSON.stringify({ message: 'Invalid mapping config', errors })
+          };
+        }
+
+        const saved = await saveMappingConfig(handle, config);
+        return {
+          statusCode: 200,
+          body: JSON.stringify(saved)
+        };
+      }
+
+      case 'DELETE':
+        await deleteMappingConfig(handle);
+        return {
+          statusCode: 200,
+          body: JSON.stringify({ message: 'Mapping config reset to defaults' })
+        };
+
+      default:
+        return {
+          statusCode: 404,
+          body: JSON.stringify({ message: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal Server Error', error: error.message })
+    };
+  }
+});
@@ -1,163 +1,277 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
-import { SecretsManager } from "@aws-sdk/client-secrets-manager";
-import axios from 'axios';
-
-const dynamoClient = new DynamoDBClient({});
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
-const secretsManager = new SecretsManager();
-
-// 获取 Shopline 凭证
-async function getShoplineCredentials() {
-  const secretValue = await secretsManager.getSecretValue({
-    SecretId: process.env.SHOPLINE_CREDENTIALS_ARN,
-  });
-  return JSON.parse(secretValue.SecretString);
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { getStoreInfo } from '../../utils/store.mjs';
+import { SYNC_STATUS, failProductSync, getProductMapping, getProductMappings } from '../../utils/id-mapping.mjs';
+import { getAuthorizedHandle } from '../../utils/session.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { withSyncRun } from '../../utils/sync-history.mjs';
+import { deleteConflict, getConflict } from '../../utils/conflicts.mjs';
+import {
+  findMappedBWPProduct,
+  findShoplineProduct,
+  getMappingOptions,
+  getSyncState,
+  pushProductToBWP,
+  removeProductFromBWP,
+} from '../../utils/sync.mjs';
+
+// 列表可按同步状态筛选，unsynced 表示从未同步过
+const SYNC_STATE_FILTERS = [...Object.values(SYNC_STATUS), 'unsynced'];
+
+// 更新产品时 BWP 写入失败的显式重试次数，之后才回滚或等待对账
+const BWP_WRITE_RETRIES = 2;
+
+const response = (statusCode, data) => ({
+  statusCode,
+  body: JSON.stringify(data)
+});
+
+async function getBwpClient(storeInfo) {
+  const bwpInstallationId = storeInfo.bwpInstallationId;
+  if (!bwpInstallationId) {
+    throw new Error("BWP installation ID not found for this store");
+  }
+  return createBwpClient(bwpInstallationId);
 }
 
-// 获取 BWP 凭证和 token
-async function getBWPCredentials(installationId) {
-  const tokenData = await docClient.send(new GetCommand({
-    TableName: process.env.BWP_TOKEN_STORE_TABLE,
-    Key: { installation_id: installationId }
-  }));
+// 产品标题或任一变体 SKU 包含搜索词（不区分大小写）
+function matchesSearch(product, search) {
+  const term = search.toLowerCase();
+  return String(product.title || '').toLowerCase().includes(term)
+    || (product.variants || []).some((variant) => String(variant.sku || '').toLowerCase().includes(term));
+}
 
-  if (!tokenData.Item) {
-    throw new Error("BWP token not found");
+// GET /products：按页列出 Shopline 产品及同步状态。
+// 筛选条件在当前页内生效，返回的产品可能少于 limit，继续用 nextPageInfo 翻页
+async function listProducts(handle, query) {
+  const { syncStatus, outOfSync, search, pageInfo, limit } = query;
+  if (syncStatus && !SYNC_STATE_FILTERS.includes(syncStatus)) {
+    return response(400, { message: `syncStatus must be one of ${SYNC_STATE_FILTERS.join(', ')}` });
   }
 
-  const secretValue = await secretsManager.getSecretValue({
-    SecretId: process.env.BWP_CREDENTIALS_ARN,
+  const shoplineClient = await createShoplineClient(handle);
+  const page = await shoplineClient.listProductsPage({
+    pageInfo,
+    ...(limit ? { limit: Number(limit) } : {}),
   });
-  const credentials = JSON.parse(secretValue.SecretString);
+  const mappings = await getProductMappings(handle, page.items.map((product) => product.id));
+
+  const products = page.items
+    .map((product) => ({ ...product, sync: getSyncState(product, mappings.get(String(product.id))) }))
+    .filter((product) => !syncStatus || product.sync.status === syncStatus)
+    .filter((product) => outOfSync !== 'true' || product.sync.outOfSync)
+    .filter((product) => !search || matchesSearch(product, search));
+
+  return response(200, { products, nextPageInfo: page.nextPageInfo });
+}
+
+// GET /products/{id}：返回 Shopline 和 BWP 两边的产品及同步状态
+async function getProduct(handle, storeInfo, productId) {
+  const shoplineClient = await createShoplineClient(handle);
+  const shoplineProduct = await findShoplineProduct(shoplineClient, productId);
+  if (!shoplineProduct) {
+    return response(404, { message: 'Product not found' });
+  }
 
-  return {
-    ...credentials,
-    accessToken: tokenData.Item.token,
-    refreshToken: tokenData.Item.refresh_token
-  };
+  const bwpClient = await getBwpClient(storeInfo);
+  const [mapping, bwpProduct, conflict] = await Promise.all([
+    getProductMapping(handle, productId),
+    findMappedBWPProduct({ handle, bwpClient, productId }),
+    getConflict(handle, productId),
+  ]);
+
+  return response(200, {
+    shopline: shoplineProduct,
+    bwp: bwpProduct,
+    sync: { ...getSyncState(shoplineProduct, mapping), conflict },
+  });
 }
 
-// 获取商店信息
-async function getStoreInfo(handle) {
-  const storeData = await docClient.send(new GetCommand({
-    TableName: process.env.INSTALLATION_TABLE,
-    Key: { id: handle, platform: 'shopline' }
+// POST /products：在 Shopline 创建产品，再按同步规则在 BWP 创建（未发布或被排除的产品不创建）
+async function createProduct(handle, storeInfo, productData) {
+  const shoplineClient = await createShoplineClient(handle);
+  const bwpClient = await getBwpClient(storeInfo);
+
+  const created = await shoplineClient.createProduct(productData);
+  const shoplineProduct = await shoplineClient.getProduct(created.id);
+  const mappingOptions = await getMappingOptions(storeInfo);
+  const result = await withSyncRun(handle, { trigger: 'manual', productId: created.id }, (run) => pushProductToBWP({
+    handle,
+    shoplineClient,
+    bwpClient,
+    shoplineProduct,
+    bwpProduct: null,
+    mappingOptions,
+    run,
   }));
 
-  if (!storeData.Item) {
-    throw new Error("Store information not found");
-  }
+  return response(201, { message: 'Product created successfully', shopline: shoplineProduct, bwp: result });
+}
 
-  return storeData.Item;
+// 回滚时只恢复请求中修改的字段，请求体与 Shopline 接口一致（字段可能包在 product 中）
+function toRollbackData(previous, productData) {
+  const changes = productData.product || productData;
+  const restored = Object.fromEntries(Object.keys(changes)
+    .filter((field) => field in previous)
+    .map((field) => [field, previous[field]]));
+  return productData.product ? { product: restored } : restored;
 }
 
-// 从 Shopline 获取所有产品
-async function getShoplineProducts(handle) {
-  const credentials = await getShoplineCredentials();
-  const response = await axios.get(`https://${handle}.myshopline.com/admin/openapi/v20230901/products`, {
-    headers: {
-      'Authorization': `Bearer ${credentials.accessToken}`,
-      'Content-Type': 'application/json'
+// BWP 写入失败后按商店的 writeFailurePolicy 回滚 Shopline；不回滚或回滚失败时标记产品同步失败，
+// 之后的增量同步会重试（产品列表可按 syncStatus=error 查询）
+async function compensateShoplineUpdate({ handle, shoplineClient, productId, previous, productData, policy, error }) {
+  if (policy === 'rollback') {
+    try {
+      await shoplineClient.updateProduct(productId, toRollbackData(previous, productData));
+      return { status: 'rolled_back' };
+    } catch (rollbackError) {
+      logger.error('Failed to roll back Shopline product', { productId, error: rollbackError });
+      await failProductSync(handle, productId, error);
+      return { status: 'pending_reconciliation', rollbackError: rollbackError.message };
     }
-  });
-  return response.data.data;
+  }
+
+  await failProductSync(handle, productId, error);
+  return { status: 'pending_reconciliation' };
 }
 
-// 更新 Shopline 产品
-async function updateShoplineProduct(handle, productId, productData) {
-  const credentials = await getShoplineCredentials();
-  await axios.put(`https://${handle}.myshopline.com/admin/openapi/v20230901/products/${productId}`, productData, {
-    headers: {
-      'Authorization': `Bearer ${credentials.accessToken}`,
-      'Content-Type': 'application/json'
-    }
-  });
+// PUT /products/{id}：先记录更新前的 Shopline 产品，更新 Shopline 后按更新后的产品同步 BWP。
+// 平台请求的限流和 5xx 由 HTTP 层重试，BWP 写入仍失败时再显式重试（创建前按 externalId 查找，避免重复创建），
+// 重试后仍失败时回滚 Shopline 或标记等待对账，响应中分别返回两个平台的结果
+async function updateProduct(handle, storeInfo, productId, productData) {
+  const shoplineClient = await createShoplineClient(handle);
+  const previous = await findShoplineProduct(shoplineClient, productId);
+  if (!previous) {
+    return response(404, { message: 'Product not found' });
+  }
+  const bwpClient = await getBwpClient(storeInfo);
+  const mappingOptions = await getMappingOptions(storeInfo);
+
+  try {
+    await shoplineClient.updateProduct(productId, productData);
+  } catch (error) {
+    logger.error('Failed to update Shopline product', { productId, error });
+    return response(502, {
+      message: 'Failed to update Shopline product',
+      shopline: { status: 'failed', error: error.message },
+      bwp: { status: 'not_attempted' },
+    });
+  }
+
+  try {
+    const result = await withSyncRun(handle, { trigger: 'manual', productId }, async (run) => pushProductToBWP({
+      handle,
+      shoplineClient,
+      bwpClient,
+      shoplineProduct: await shoplineClient.getProduct(productId),
+      bwpProduct: await findMappedBWPProduct({ handle, bwpClient, productId }),
+      mappingOptions,
+      run,
+      writeRetries: BWP_WRITE_RETRIES,
+    }));
+    return response(200, {
+      message: 'Product updated successfully',
+      shopline: { status: 'updated' },
+      bwp: { status: result.action === 'skipped' ? 'skipped' : 'updated', ...result },
+    });
+  } catch (error) {
+    logger.error('Failed to sync product to BWP', { productId, error });
+    const shopline = await compensateShoplineUpdate({
+      handle,
+      shoplineClient,
+      productId,
+      previous,
+      productData,
+      policy: mappingOptions.config.writeFailurePolicy,
+      error,
+    });
+    // 已回滚时整体失败；等待对账时 Shopline 的修改已生效，BWP 稍后同步
+    return response(shopline.status === 'rolled_back' ? 502 : 202, {
+      message: shopline.status === 'rolled_back'
+        ? 'Failed to sync product to BWP, Shopline update rolled back'
+        : 'Product updated in Shopline, BWP sync pending reconciliation',
+      shopline,
+      bwp: { status: 'failed', error: error.message },
+    });
+  }
 }
 
-// 更新 BWP 产品
-async function updateBWPProduct(installationId, productId, productData) {
-  const credentials = await getBWPCredentials(installationId);
-  await axios.put(`https://api.buywithprime.amazon.com/v1/products/${productId}`, productData, {
-    headers: {
-      'Authorization': `Bearer ${credentials.accessToken}`,
-      'Content-Type': 'application/json'
-    }
-  });
+// DELETE /products/{id}：从 Shopline 删除，并删除对应的 BWP 产品和映射
+async function deleteProduct(handle, storeInfo, productId) {
+  const shoplineClient = await createShoplineClient(handle);
+  if (!await findShoplineProduct(shoplineClient, productId)) {
+    return response(404, { message: 'Product not found' });
+  }
+  await shoplineClient.deleteProduct(productId);
+
+  const bwpClient = await getBwpClient(storeInfo);
+  const result = await withSyncRun(
+    handle,
+    { trigger: 'manual', productId },
+    (run) => removeProductFromBWP({ handle, bwpClient, productId, run })
+  );
+  await deleteConflict(handle, productId);
+
+  return response(200, { message: 'Product deleted successfully', bwp: result });
 }
 
-export const handler = async (event) => {
+// 解析 JSON 请求体，无效时返回 undefined
+function parseBody(body) {
+  try {
+    return JSON.parse(body || '{}');
+  } catch (error) {
+    return undefined;
+  }
+}
+
+export const handler = withLogging(async (event) => {
   const { httpMethod, path, body, queryStringParameters } = event;
-  const handle = queryStringParameters?.handle;
+  // 只能操作会话所属的商店
+  const handle = getAuthorizedHandle(event);
+  appendLogContext({ handle });
 
   if (!handle) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify({ message: 'Missing handle' })
-    };
+    return response(403, { message: 'Forbidden' });
   }
 
   try {
     const storeInfo = await getStoreInfo(handle);
+    const productId = path.startsWith('/products/') ? path.split('/')[2] : null;
+
+    if (['POST', 'PUT'].includes(httpMethod) && parseBody(body) === undefined) {
+      return response(400, { message: 'Invalid JSON body' });
+    }
 
     switch (httpMethod) {
       case 'GET':
-        if (path === '/products') {
-          const products = await getShoplineProducts(handle);
-          return {
-            statusCode: 200,
-            body: JSON.stringify(products)
-          };
+        return productId
+          ? await getProduct(handle, storeInfo, productId)
+          : await listProducts(handle, queryStringParameters || {});
+
+      case 'POST':
+        if (!productId) {
+          return await createProduct(handle, storeInfo, parseBody(body));
         }
         break;
 
       case 'PUT':
-        if (path.startsWith('/products/')) {
-          const productId = path.split('/')[2];
-          const productData = JSON.parse(body);
-          
-          // 更新 Shopline
-          await updateShoplineProduct(handle, productId, productData);
-          
-          // 更新 BWP
-          const bwpInstallationId = storeInfo.bwpInstallationId;
-          if (!bwpInstallationId) {
-            throw new Error("BWP installation ID not found for this store");
-          }
-          await updateBWPProduct(bwpInstallationId, productId, productData);
-          
-          return {
-            statusCode: 200,
-            body: JSON.stringify({ message: 'Product updated successfully' })
-          };
+        if (productId) {
+          return await updateProduct(handle, storeInfo, productId, parseBody(body));
         }
         break;
 
-      // 可以根据需要添加其他 CRUD 操作
-
-      default:
-        return {
-          statusCode: 404,
-          body: JSON.stringify({ message: 'Not Found' })
-        };
+      case 'DELETE':
+        if (productId) {
+          return await deleteProduct(handle, storeInfo, productId);
+        }
+        break;
     }
+
+    return response(404, { message: 'Not Found' });
   } catch (error) {
-    console.error('Error:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ message: 'Internal Server Error', error: error.message })
-    };
+    logger.error('Unhandled error', { error });
+    return response(500, { message: 'Internal Server Error', error: error.message });
   }
-};
+});
 
 // BWP 安装时更新商店信息的辅助函数
-export async function updateStoreBWPInfo(shoplineHandle, bwpInstallationId) {
-  await docClient.send(new UpdateCommand({
-    TableName: process.env.INSTALLATION_TABLE,
-    Key: { id: shoplineHandle, platform: 'shopline' },
-    UpdateExpression: "set bwpInstallationId = :bwpId",
-    ExpressionAttributeValues: {
-      ":bwpId": bwpInstallationId
-    }
-  }));
-}
\ No newline at end of file
+export { updateStoreBWPInfo } from '../../utils/store.mjs';
@@ -0,0 +1,75 @@
+// drift.mjs
+
+import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
+import { getStoreInfo } from '../../utils/store.mjs';
+import { getAuthorizedHandle } from '../../utils/session.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { DRIFT_REPORT_FORMATS, getLatestDriftReport } from '../../utils/drift.mjs';
+
+const lambdaClient = new LambdaClient({});
+
+const response = (statusCode, data) => ({
+  statusCode,
+  body: JSON.stringify(data)
+});
+
+// 报告内容按格式返回，CSV 作为附件下载
+const reportResponse = (handle, format, body) => ({
+  statusCode: 200,
+  headers: format === 'csv'
+    ? { 'Content-Type': 'text/csv', 'Content-Disposition': `attachment; filename="drift-${handle}.csv"` }
+    : { 'Content-Type': 'application/json' },
+  body,
+});
+
+// POST /reports/drift：异步生成商店的差异报告（目录较大时无法在 API Gateway 的超时内完成），完成后通过 GET 获取
+async function startDriftReport(handle) {
+  const storeInfo = await getStoreInfo(handle);
+  if (!storeInfo.bwpInstallationId) {
+    return response(400, { message: 'Store is not linked to BWP' });
+  }
+
+  await lambdaClient.send(new InvokeCommand({
+    FunctionName: process.env.DRIFT_REPORT_GENERATOR_FUNCTION,
+    InvocationType: 'Event',
+    Payload: JSON.stringify({ handle, trigger: 'manual' }),
+  }));
+  return response(202, { message: 'Drift report generation started' });
+}
+
+// GET /reports/drift?format=json|csv：返回最近保存的差异报告（每天定时生成，或由 POST 触发生成）
+async function getDriftReport(handle, format) {
+  if (!DRIFT_REPORT_FORMATS.includes(format)) {
+    return response(400, { message: `format must be one of ${DRIFT_REPORT_FORMATS.join(', ')}` });
+  }
+
+  const report = await getLatestDriftReport(handle, format);
+  return report === null
+    ? response(404, { message: 'No drift report has been generated for this store' })
+    : reportResponse(handle, format, report);
+}
+
+export const handler = withLogging(async (event) => {
+  const query = event.queryStringParameters || {};
+  // 只能查询会话所属的商店
+  const handle = getAuthorizedHandle(event);
+  appendLogContext({ handle });
+
+  if (!handle) {
+    return response(403, { message: 'Forbidden' });
+  }
+
+  try {
+    switch (event.httpMethod) {
+      case 'GET':
+        return await getDriftReport(handle, query.format || 'json');
+      case 'POST':
+        return await startDriftReport(handle);
+      default:
+        return response(405, { message: 'Method Not Allowed' });
+    }
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return response(500, { message: 'Internal Server Error', error: error.message });
+  }
+});
@@ -0,0 +1,40 @@
+// generate.mjs
+
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { getStoreInfo, updateStoreDrift } from '../../utils/store.mjs';
+import { getMappingOptions } from '../../utils/sync.mjs';
+import { buildDriftReport, getDriftReportConfig, saveDriftReport } from '../../utils/drift.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { putMetric } from '../../utils/metrics.mjs';
+
+// 生成并保存一个商店的差异报告，差异产品占比超过阈值时标记商店。
+// 由差异报告状态机按商店调用（trigger 为 scheduled），或由 POST /reports/drift 异步调用（trigger 为 manual）
+export const handler = withLogging(async (event) => {
+  const { handle, trigger = 'manual' } = event;
+  appendLogContext({ handle });
+
+  const storeInfo = await getStoreInfo(handle);
+  if (!storeInfo.bwpInstallationId) {
+    throw new Error("BWP installation ID not found for this store");
+  }
+
+  const mappingOptions = await getMappingOptions(storeInfo);
+  const { threshold } = getDriftReportConfig(mappingOptions.config);
+
+  const report = await buildDriftReport(handle, {
+    shoplineClient: await createShoplineClient(handle),
+    bwpClient: await createBwpClient(storeInfo.bwpInstallationId),
+    mappingOptions,
+  });
+  await saveDriftReport(report);
+
+  const flagged = report.summary.driftRatio > threshold;
+  await updateStoreDrift(handle, { summary: report.summary, generatedAt: report.generatedAt, flagged });
+  putMetric('DriftedStores', flagged ? 1 : 0);
+  if (flagged) {
+    logger.warn('Catalog drift exceeds threshold', { threshold, summary: report.summary });
+  }
+
+  logger.info('Generated drift report', { trigger, summary: report.summary });
+  return { handle, status: 'completed', flagged, ...report.summary };
+});
@@ -0,0 +1,23 @@
+// scheduled.mjs
+
+import { iterateStores } from '../../utils/store.mjs';
+import { getMappingOptions } from '../../utils/sync.mjs';
+import { getDriftReportConfig } from '../../utils/drift.mjs';
+import { logger, withLogging } from '../../utils/logger.mjs';
+
+// 列出开启 driftReport 且已关联 BWP 的商店，作为差异报告状态机 Map 的输入，每个商店单独生成报告（generate.mjs）
+export const handler = withLogging(async () => {
+  const stores = [];
+  for await (const store of iterateStores()) {
+    if (!store.bwpInstallationId) {
+      continue;
+    }
+    const { config } = await getMappingOptions(store);
+    if (getDriftReportConfig(config).enabled) {
+      stores.push({ handle: store.id, trigger: 'scheduled' });
+    }
+  }
+
+  logger.info('Found stores for drift reports', { count: stores.length });
+  return { stores };
+});
@@ -0,0 +1,155 @@
+// topics.mjs
+
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { getStoreInfo } from '../../utils/store.mjs';
+import {
+  findMappedBWPProduct,
+  findShoplineProduct,
+  getMappingOptions,
+  pushProductToBWP,
+  removeProductFromBWP,
+} from '../../utils/sync.mjs';
+import { findVariantByInventoryItem } from '../../utils/id-mapping.mjs';
+import { consumeEcho } from '../../utils/idempotency.mjs';
+import { withSyncRun } from '../../utils/sync-history.mjs';
+import { isLocationIncluded, syncInventory, syncInventoryItem } from '../../utils/inventory.mjs';
+import { logger } from '../../utils/logger.mjs';
+
+// 获取已关联 BWP 的商店信息
+async function getLinkedStore(handle) {
+  const storeInfo = await getStoreInfo(handle);
+
+  if (!storeInfo.bwpInstallationId) {
+    throw new Error("BWP installation ID not found for this store");
+  }
+
+  return storeInfo;
+}
+
+// 删除 Shopline 中已不存在的产品对应的 BWP 产品
+async function removeDeletedProduct(handle, bwpClient, productId, run) {
+  const result = await removeProductFromBWP({ handle, bwpClient, productId, run });
+  logger.info('Deleted BWP product', { handle, productId: String(productId), action: result.action, reason: result.reason });
+  return result;
+}
+
+// 产品创建：直接写入 BWP；产品在处理前已被删除时按删除处理
+async function handleProductCreate(handle, payload, run) {
+  const productId = payload.id;
+  const storeInfo = await getLinkedStore(handle);
+
+  const shoplineClient = await createShoplineClient(handle);
+  const bwpClient = await createBwpClient(storeInfo.bwpInstallationId);
+
+  const shoplineProduct = await findShoplineProduct(shoplineClient, productId);
+  if (!shoplineProduct) {
+    return removeDeletedProduct(handle, bwpClient, productId, run);
+  }
+
+  const mappingOptions = await getMappingOptions(storeInfo);
+  const result = await pushProductToBWP({
+    handle,
+    shoplineClient,
+    bwpClient,
+    shoplineProduct,
+    mappingOptions,
+    run,
+  });
+  logger.info('Created BWP product', { handle, productId: String(productId), action: result.action, reason: result.reason });
+
+  await syncInventory({ handle, shoplineClient, bwpClient, products: [shoplineProduct], config: mappingOptions.config });
+  return result;
+}
+
+// 产品更新：有差异时写入 BWP，BWP 中不存在时按创建处理；产品已被删除时按删除处理
+async function handleProductUpdate(handle, payload, run) {
+  const productId = payload.id;
+  const storeInfo = await getLinkedStore(handle);
+
+  const shoplineClient = await createShoplineClient(handle);
+  const bwpClient = await createBwpClient(storeInfo.bwpInstallationId);
+
+  const shoplineProduct = await findShoplineProduct(shoplineClient, productId);
+  if (!shoplineProduct) {
+    return removeDeletedProduct(handle, bwpClient, productId, run);
+  }
+
+  const bwpProduct = await findMappedBWPProduct({ handle, bwpClient, productId });
+
+  const mappingOptions = await getMappingOptions(storeInfo);
+  const result = await pushProductToBWP({
+    handle,
+    shoplineClient,
+    bwpClient,
+    shoplineProduct,
+    bwpProduct,
+    mappingOptions,
+    run,
+  });
+  logger.info('Updated BWP product', { handle, productId: String(productId), action: result.action, reason: result.reason });
+
+  await syncInventory({ handle, shoplineClient, bwpClient, products: [shoplineProduct], config: mappingOptions.config });
+  return result;
+}
+
+// 产品删除：先向 Shopline 确认产品已不存在才删除对应的 BWP 产品，产品仍存在时按更新处理
+// （topic 请求头不在签名范围内，乱序或被篡改的删除事件不能直接删除 BWP 产品）
+async function handleProductDelete(handle, payload, run) {
+  return handleProductUpdate(handle, payload, run);
+}
+
+// 库存更新：重新计算所选地点的可用库存并同步到对应的 BWP SKU；BWP 订单扣减库存产生的回声直接跳过
+async function handleInventoryLevelUpdate(handle, payload) {
+  const inventoryItemId = payload.inventory_item_id;
+  if (await consumeEcho(handle, 'inventory_item', inventoryItemId, `${payload.location_id}:${payload.available}`)) {
+    logger.info('Skipping echoed inventory update', { handle, inventoryItemId });
+    return { action: 'skipped', inventoryItemId, reason: 'echo' };
+  }
+
+  const storeInfo = await getLinkedStore(handle);
+  const { config } = await getMappingOptions(storeInfo);
+
+  if (!isLocationIncluded(payload.location_id, config)) {
+    logger.info('Ignoring inventory update for excluded location', { handle, inventoryItemId, locationId: payload.location_id });
+    return { action: 'skipped', inventoryItemId, reason: 'location_excluded' };
+  }
+
+  const variantMapping = await findVariantByInventoryItem(handle, inventoryItemId);
+  if (!variantMapping?.bwpSku) {
+    logger.info('Inventory item is not mapped to a BWP SKU', { handle, inventoryItemId });
+    return { action: 'skipped', inventoryItemId, reason: 'not_mapped' };
+  }
+
+  const shoplineClient = await createShoplineClient(handle);
+  const bwpClient = await createBwpClient(storeInfo.bwpInstallationId);
+  const result = await syncInventoryItem({ handle, shoplineClient, bwpClient, variantMapping, config });
+  logger.info('Synced BWP SKU inventory', { handle, inventoryItemId, bwpSku: variantMapping.bwpSku, action: result.action });
+  return result;
+}
+
+// 产品 webhook 的每次处理作为一次同步记录到同步历史
+const PRODUCT_TOPICS = ['products/create', 'products/update', 'products/delete'];
+
+export const topicHandlers = {
+  'products/create': handleProductCreate,
+  'products/update': handleProductUpdate,
+  'products/delete': handleProductDelete,
+  'inventory_levels/update': handleInventoryLevelUpdate,
+};
+
+// 按 topic 分发 webhook，未订阅的 topic 直接忽略；产品 webhook 记录到同步历史
+export async function handleTopic(topic, handle, payload) {
+  const topicHandler = topicHandlers[topic];
+  if (!topicHandler) {
+    logger.info('Ignoring unsupported webhook topic', { handle, topic });
+    return { action: 'ignored', topic };
+  }
+  if (!PRODUCT_TOPICS.includes(topic)) {
+    return topicHandler(handle, payload);
+  }
+  return withSyncRun(
+    handle,
+    { trigger: 'webhook', topic, productId: payload.id },
+    (run) => topicHandler(handle, payload, run)
+  );
+}
@@ -0,0 +1,92 @@
+// worker.mjs
+
+import { SQSClient, ChangeMessageVisibilityCommand } from "@aws-sdk/client-sqs";
+import { handleTopic } from './topics.mjs';
+import { handleBwpTopic } from '../bwp/topics.mjs';
+import { claimWebhook, completeWebhook, releaseWebhook } from '../../utils/idempotency.mjs';
+import { appendLogContext, logger, withLogContext, withLogging } from '../../utils/logger.mjs';
+import { putMetric } from '../../utils/metrics.mjs';
+
+const sqsClient = new SQSClient({});
+
+// 重试退避：首次 30 秒，之后指数增长，最长 15 分钟
+const RETRY_BASE_DELAY_SECONDS = 30;
+const RETRY_MAX_DELAY_SECONDS = 15 * 60;
+
+// 根据接收次数计算下次可见的延迟（带随机抖动）
+function getRetryDelay(receiveCount) {
+  const delay = Math.min(
+    RETRY_BASE_DELAY_SECONDS * 2 ** (receiveCount - 1),
+    RETRY_MAX_DELAY_SECONDS
+  );
+  return Math.floor(delay / 2 + Math.random() * delay / 2);
+}
+
+// 处理失败的消息延后重新可见，超过最大接收次数后由 SQS 转入 DLQ
+async function scheduleRetry(record) {
+  const receiveCount = Number(record.attributes?.ApproximateReceiveCount || 1);
+  try {
+    await sqsClient.send(new ChangeMessageVisibilityCommand({
+      QueueUrl: process.env.WEBHOOK_QUEUE_URL,
+      ReceiptHandle: record.receiptHandle,
+      VisibilityTimeout: getRetryDelay(receiveCount),
+    }));
+  } catch (error) {
+    // 设置失败时按队列默认的可见性超时重试
+    logger.error('Failed to delay webhook retry', { error });
+  }
+}
+
+// 处理一条消息，失败时返回 false；日志附带消息 id、商店和 topic
+async function processRecord(record) {
+  let message;
+  let claimed = false;
+  try {
+    message = JSON.parse(record.body);
+    const { source, topic, handle, webhookId, payload } = message;
+    appendLogContext({ handle, topic, webhookId });
+
+    // Shopline webhook 和 BWP 事件都至少投递一次，同一消息只处理一次
+    if (webhookId) {
+      claimed = await claimWebhook(handle, webhookId);
+      if (!claimed) {
+        logger.info('Skipping duplicate webhook');
+        return true;
+      }
+    }
+
+    // BWP 事件写回 Shopline，其余为 Shopline webhook
+    const result = source === 'bwp'
+      ? await handleBwpTopic(topic, handle, payload)
+      : await handleTopic(topic, handle, payload);
+    logger.info('Processed webhook', { source: source || 'shopline', result });
+
+    if (claimed) {
+      await completeWebhook(handle, webhookId);
+    }
+    return true;
+  } catch (error) {
+    logger.error('Failed to process webhook message', { error });
+    putMetric('WebhookFailures', 1, { dimensions: { Source: message?.source || 'shopline' } });
+    if (claimed) {
+      await releaseWebhook(message.handle, message.webhookId).catch((releaseError) => {
+        logger.error('Failed to release webhook', { error: releaseError });
+      });
+    }
+    await scheduleRetry(record);
+    return false;
+  }
+}
+
+export const handler = withLogging(async (event) => {
+  const batchItemFailures = [];
+
+  for (const record of event.Records) {
+    const processed = await withLogContext({ messageId: record.messageId }, () => processRecord(record));
+    if (!processed) {
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  return { batchItemFailures };
+});
@@ -0,0 +1,67 @@
+// history.mjs
+
+import { getAuthorizedHandle } from '../../utils/session.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { listProductHistory, listSyncRuns } from '../../utils/sync-history.mjs';
+import { listOrphans } from '../../utils/orphans.mjs';
+
+// 每页最多返回的记录数
+const MAX_LIMIT = 100;
+
+const response = (statusCode, data) => ({
+  statusCode,
+  body: JSON.stringify(data)
+});
+
+// 解析分页参数，limit 无效时返回 null
+function getPageOptions(query = {}) {
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return null;
+  }
+  return { limit, nextToken: query.nextToken };
+}
+
+// GET /sync/runs：商店的同步记录；GET /sync/orphans：最近一次全量对账发现的 BWP 孤儿产品；
+// GET /products/{id}/history：产品写入 BWP 的审计记录
+export const handler = withLogging(async (event) => {
+  const { httpMethod, resource, pathParameters, queryStringParameters } = event;
+  // 只能查询会话所属的商店
+  const handle = getAuthorizedHandle(event);
+  appendLogContext({ handle });
+
+  if (!handle) {
+    return response(403, { message: 'Forbidden' });
+  }
+
+  const pageOptions = getPageOptions(queryStringParameters || {});
+  if (!pageOptions) {
+    return response(400, { message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    if (httpMethod === 'GET' && resource === '/sync/runs') {
+      const { items, nextToken } = await listSyncRuns(handle, pageOptions);
+      return response(200, { runs: items, nextToken });
+    }
+
+    if (httpMethod === 'GET' && resource === '/sync/orphans') {
+      const { items, nextToken } = await listOrphans(handle, pageOptions);
+      return response(200, { orphans: items, nextToken });
+    }
+
+    if (httpMethod === 'GET' && resource === '/products/{id}/history') {
+      const { items, nextToken } = await listProductHistory(handle, pathParameters.id, pageOptions);
+      return response(200, { history: items, nextToken });
+    }
+
+    return response(404, { message: 'Not Found' });
+  } catch (error) {
+    // 分页游标无法解析
+    if (error instanceof SyntaxError) {
+      return response(400, { message: 'Invalid nextToken' });
+    }
+    logger.error('Unhandled error', { error });
+    return response(500, { message: 'Internal Server Error', error: error.message });
+  }
+});
@@ -0,0 +1,152 @@
+// trigger.mjs
+
+import { SFNClient, StartExecutionCommand } from "@aws-sdk/client-sfn";
+import { createShoplineClient, createBwpClient } from '../../utils/credentials.mjs';
+import { getStoreInfo } from '../../utils/store.mjs';
+import { acquireSyncLock, releaseSyncLock, syncJobId } from '../../utils/checkpoint.mjs';
+import { generateId } from '../../utils/common.mjs';
+import { getAuthorizedHandle } from '../../utils/session.mjs';
+import { appendLogContext, logger, withLogging } from '../../utils/logger.mjs';
+import { withSyncRun } from '../../utils/sync-history.mjs';
+import { syncInventory } from '../../utils/inventory.mjs';
+import {
+  findMappedBWPProduct,
+  findShoplineProduct,
+  getMappingOptions,
+  pushProductPage,
+  pushProductToBWP,
+} from '../../utils/sync.mjs';
+
+const sfnClient = new SFNClient({});
+
+const SYNC_MODES = ['delta', 'full'];
+
+// 试运行每次最多比较的产品数，需在 API Gateway 的 29 秒超时内返回
+const MAX_DRY_RUN_LIMIT = 25;
+
+const response = (statusCode, data) => ({
+  statusCode,
+  body: JSON.stringify(data)
+});
+
+async function getLinkedStore(handle) {
+  const storeInfo = await getStoreInfo(handle);
+  if (!storeInfo.bwpInstallationId) {
+    throw new Error("BWP installation ID not found for this store");
+  }
+  return storeInfo;
+}
+
+// POST /sync：启动商店的同步状态机（默认全量），同一商店同一模式的同步未完成时返回 409。
+// dryRun 时不启动同步，按页比较产品并返回将写入 BWP 的变更，用 nextPageInfo 继续下一页
+async function syncStoreNow(handle, { mode = 'full', dryRun = false, pageInfo, limit = 10 }) {
+  if (!SYNC_MODES.includes(mode)) {
+    return response(400, { message: `mode must be one of ${SYNC_MODES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DRY_RUN_LIMIT) {
+    return response(400, { message: `limit must be an integer between 1 and ${MAX_DRY_RUN_LIMIT}` });
+  }
+
+  const storeInfo = await getLinkedStore(handle);
+
+  if (dryRun) {
+    const shoplineClient = await createShoplineClient(handle);
+    const bwpClient = await createBwpClient(storeInfo.bwpInstallationId);
+    const page = await shoplineClient.listProductsPage({ pageInfo, limit });
+    const results = await pushProductPage({
+      handle,
+      shoplineClient,
+      bwpClient,
+      products: page.items,
+      mappingOptions: await getMappingOptions(storeInfo),
+      force: true,
+      dryRun: true,
+    });
+    return response(200, { dryRun: true, results, nextPageInfo: page.nextPageInfo });
+  }
+
+  // 同时运行两个执行会互相覆盖断点：先获取同步锁，由启动的执行沿用（lockId），结束时释放
+  const jobId = syncJobId(mode, handle);
+  const lockId = generateId();
+  if (!await acquireSyncLock(jobId, lockId)) {
+    return response(409, { message: `A ${mode} sync is already in progress for this store` });
+  }
+
+  let execution;
+  try {
+    execution = await sfnClient.send(new StartExecutionCommand({
+      stateMachineArn: process.env.STORE_SYNC_STATE_MACHINE_ARN,
+      input: JSON.stringify({ handle, mode, trigger: 'manual', force: true, lockId }),
+    }));
+  } catch (error) {
+    await releaseSyncLock(jobId, lockId);
+    throw error;
+  }
+  return response(202, { message: 'Sync started', mode, executionArn: execution.executionArn });
+}
+
+// POST /products/{id}/sync：立即与 BWP 比较并同步单个产品（包括库存），dryRun 时只返回将写入的变更
+async function syncProductNow(handle, productId, { dryRun = false }) {
+  const storeInfo = await getLinkedStore(handle);
+  const shoplineClient = await createShoplineClient(handle);
+  const shoplineProduct = await findShoplineProduct(shoplineClient, productId);
+  if (!shoplineProduct) {
+    return response(404, { message: 'Product not found' });
+  }
+
+  const bwpClient = await createBwpClient(storeInfo.bwpInstallationId);
+  const mappingOptions = await getMappingOptions(storeInfo);
+  const options = {
+    handle,
+    shoplineClient,
+    bwpClient,
+    shoplineProduct,
+    bwpProduct: await findMappedBWPProduct({ handle, bwpClient, productId }),
+    mappingOptions,
+    force: true,
+  };
+
+  if (dryRun) {
+    return response(200, await pushProductToBWP({ ...options, dryRun: true }));
+  }
+
+  const result = await withSyncRun(handle, { trigger: 'manual', productId }, (run) => pushProductToBWP({ ...options, run }));
+  const inventory = await syncInventory({ handle, shoplineClient, bwpClient, products: [shoplineProduct], config: mappingOptions.config });
+  return response(200, { ...result, inventory });
+}
+
+export const handler = withLogging(async (event) => {
+  const { httpMethod, resource, pathParameters, body } = event;
+  // 只能同步会话所属的商店
+  const handle = getAuthorizedHandle(event);
+  appendLogContext({ handle });
+
+  if (!handle) {
+    return response(403, { message: 'Forbidden' });
+  }
+
+  let options;
+  try {
+    options = JSON.parse(body || '{}') || {};
+  } catch (error) {
+    return response(400, { message: 'Invalid JSON body' });
+  }
+  if (options.dryRun !== undefined && typeof options.dryRun !== 'boolean') {
+    return response(400, { message: 'dryRun must be a boolean' });
+  }
+
+  try {
+    if (httpMethod === 'POST' && resource === '/sync') {
+      return await syncStoreNow(handle, options);
+    }
+
+    if (httpMethod === 'POST' && resource === '/products/{id}/sync') {
+      return await syncProductNow(handle, pathParameters.id, options);
+    }
+
+    return response(404, { message: 'Not Found' });
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return response(500, { message: 'Internal Server Error', error: error.message });
+  }
+});
@@ -1,14 +1,109 @@
-export interface ProductData {
+export interface ShoplineImage {
+  id: string;
+  src: string;
+  position?: number;
+  alt?: string;
+}
+
+export interface ShoplineOption {
+  name: string;
+  position?: number;
+  values?: string[];
+}
+
+export interface ShoplineVariant {
+  id: string;
+  title?: string;
+  sku?: string;
+  price?: string;
+  compare_at_price?: string | null;
+  barcode?: string | null;
+  weight?: number | string;
+  weight_unit?: string;
+  length?: number | string;
+  width?: number | string;
+  height?: number | string;
+  dimension_unit?: string;
+  option1?: string | null;
+  option2?: string | null;
+  option3?: string | null;
+  image_id?: string | null;
+  inventory_item_id?: string;
+  inventory_quantity?: number;
+}
+
+export interface ShoplineProduct {
   id: string;
   title: string;
+  body_html?: string;
   description?: string;
-  price: number;
-  // Add more fields as needed
+  status?: 'active' | 'draft' | 'archived';
+  tags?: string;
+  images?: ShoplineImage[];
+  options?: ShoplineOption[];
+  variants?: ShoplineVariant[];
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ShoplineInventoryLevel {
+  inventory_item_id: string;
+  location_id: string;
+  available: number | null;
+  updated_at?: string;
+}
+
+export interface BwpMoney {
+  amount: number;
+  currencyCode: string;
+}
+
+export interface BwpBarcode {
+  type: 'UPC' | 'EAN' | 'GTIN' | 'OTHER';
+  value: string;
+}
+
+export interface BwpWeight {
+  value: number;
+  unit: string;
+}
+
+export interface BwpDimensions {
+  length: number | null;
+  width: number | null;
+  height: number | null;
+  unit: string;
+}
+
+export interface BwpSku {
+  sku: string;
+  externalId: string;
+  title: string;
+  price: BwpMoney | null;
+  compareAtPrice: BwpMoney | null;
+  barcode: BwpBarcode | null;
+  weight: BwpWeight | null;
+  dimensions: BwpDimensions | null;
+  imageUrls: string[];
+  options: { name: string; value: string }[];
+}
+
+export interface BwpProduct {
+  id?: string;
+  externalId: string;
+  title: string;
+  description: string;
+  status: 'ACTIVE' | 'INACTIVE';
+  skus: BwpSku[];
+}
+
+export interface MappingOptions {
+  currency?: string;
 }
 
 export interface SyncEvent {
   source: 'shopline' | 'bwp';
   action: 'create' | 'update' | 'delete';
   productId: string;
-  data?: ProductData;
+  data?: ShoplineProduct;
 }
@@ -0,0 +1,138 @@
+// src/utils/bwp-client.mjs
+import { fetchTransport, getRateLimiter, send, withQuery, withMetrics, withRateLimit } from './http.mjs';
+
+export const BWP_BASE_URL = 'https://api.buywithprime.amazon.com';
+export const BWP_API_VERSION = 'v1';
+
+// 每个安装的请求限额：突发 10 次，每秒恢复 5 次
+export const BWP_RATE_LIMIT = { capacity: 10, refillPerSecond: 5 };
+
+export class BwpClient {
+  constructor({ installationId, accessToken, clientId, clientSecret, transport = fetchTransport, rateLimit = BWP_RATE_LIMIT, retry, baseUrl = BWP_BASE_URL, apiVersion = BWP_API_VERSION } = {}) {
+    this.accessToken = accessToken;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    // 同一安装的请求共享限额（OAuth 等没有安装 id 的请求共用一个），429 / 5xx 时退避重试，每次请求记录耗时指标
+    const limiter = getRateLimiter(`bwp:${installationId || 'app'}`, rateLimit);
+    this.transport = withRateLimit(withMetrics(transport, 'bwp'), { ...retry, limiter });
+    this.baseUrl = baseUrl;
+    this.apiVersion = apiVersion;
+  }
+
+  // 调用产品 API
+  async request(method, path, { query, body } = {}) {
+    const response = await send(this.transport, {
+      method,
+      url: withQuery(`${this.baseUrl}/${this.apiVersion}${path}`, query),
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return response.data;
+  }
+
+  // 获取产品详情
+  async getProduct(productId) {
+    return this.request('GET', `/products/${productId}`);
+  }
+
+  // 获取产品列表（单页）
+  async listProducts(query) {
+    return this.request('GET', '/products', { query });
+  }
+
+  // 获取一页产品，nextToken 为 null 表示最后一页
+  async listProductsPage({ nextToken, limit = 100 } = {}) {
+    const data = await this.listProducts({ nextToken, maxResults: limit });
+    if (Array.isArray(data)) {
+      return { items: data, nextToken: null };
+    }
+    return { items: data.products || [], nextToken: data.nextToken || null };
+  }
+
+  // 遍历所有产品
+  async listAllProducts() {
+    const products = [];
+    let nextToken;
+    do {
+      const page = await this.listProductsPage({ nextToken });
+      products.push(...page.items);
+      nextToken = page.nextToken;
+    } while (nextToken);
+    return products;
+  }
+
+  // 按 externalId（Shopline 产品 ID）查找产品，不存在时返回 null
+  async findProductByExternalId(externalId) {
+    const data = await this.listProducts({ externalId: String(externalId), maxResults: 1 });
+    const items = Array.isArray(data) ? data : data.products || [];
+    return items.find((product) => String(product.externalId) === String(externalId)) || null;
+  }
+
+  // 创建产品，返回 BWP 分配了 id 的产品
+  async createProduct(productData) {
+    return this.request('POST', '/products', { body: productData });
+  }
+
+  // 更新产品
+  async updateProduct(productId, productData) {
+    return this.request('PUT', `/products/${productId}`, { body: productData });
+  }
+
+  // 更新 SKU 的可售库存
+  async updateInventory(sku, quantity) {
+    return this.request('PUT', `/inventory/${encodeURIComponent(sku)}`, { body: { sku, quantity } });
+  }
+
+  // 删除产品
+  async deleteProduct(productId) {
+    return this.request('DELETE', `/products/${productId}`);
+  }
+
+  // 生成 OAuth 授权 URL
+  getAuthorizeUrl({ redirectUri, state, scope = 'products:read products:write' }) {
+    const authUrl = new URL(`${this.baseUrl}/oauth/authorize`);
+    authUrl.searchParams.append('client_id', this.clientId);
+    authUrl.searchParams.append('redirect_uri', redirectUri);
+    authUrl.searchParams.append('scope', scope);
+    authUrl.searchParams.append('state', state);
+    authUrl.searchParams.append('response_type', 'code');
+    return authUrl.toString();
+  }
+
+  // 请求 token（authorization_code 或 refresh_token）
+  async requestToken(params) {
+    const response = await send(this.transport, {
+      method: 'POST',
+      url: `${this.baseUrl}/token`,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        ...params,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }).toString(),
+    });
+    return response.data;
+  }
+
+  // 使用授权码换取 token
+  async exchangeCode(code, redirectUri) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+    });
+  }
+
+  // 刷新 token
+  async refreshToken(refreshToken) {
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    });
+  }
+}
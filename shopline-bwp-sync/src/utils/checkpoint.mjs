@@ -0,0 +1,119 @@
+// src/utils/checkpoint.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, DeleteCommand, GetCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 与安装记录存放在同一张表，使用单独的 platform 排序键
+const CHECKPOINT_PLATFORM = 'checkpoint';
+const WATERMARK_PLATFORM = 'sync_watermark';
+const LOCK_PLATFORM = 'sync_lock';
+
+// 同步锁的有效期，每次调用开始时续期。大于同步 Lambda 的超时，执行被中止（如状态机超时）时锁自动过期
+export const SYNC_LOCK_TTL_MS = 15 * 60 * 1000;
+
+// 商店同步任务的断点 id，每个商店、每种模式（delta / full）单独保存
+export const syncJobId = (mode, handle) => `${mode}-sync#${handle}`;
+
+// 获取同步任务的断点，不存在时返回 null
+export async function getCheckpoint(jobId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: jobId, platform: CHECKPOINT_PLATFORM },
+  }));
+  return result.Item || null;
+}
+
+// 保存同步任务的断点，handle 为正在处理的商店，pageInfo 为下一页的 Shopline 分页游标，
+// 其余字段（如本次同步的开始时间、查询条件）原样保存，续跑时沿用
+export async function saveCheckpoint(jobId, { handle, pageInfo, ...state }) {
+  await docClient.send(new PutCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Item: {
+      ...state,
+      id: jobId,
+      platform: CHECKPOINT_PLATFORM,
+      handle,
+      pageInfo: pageInfo || null,
+      updatedAt: Date.now(),
+    },
+  }));
+}
+
+// 同步任务完成或失败后清除断点
+export async function clearCheckpoint(jobId) {
+  await docClient.send(new DeleteCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: jobId, platform: CHECKPOINT_PLATFORM },
+  }));
+}
+
+// 获取同步任务的锁，owner 为持有锁的执行；锁不存在、已过期或已由 owner 持有（续期）时返回 true
+export async function acquireSyncLock(jobId, owner, ttlMs = SYNC_LOCK_TTL_MS) {
+  const now = Date.now();
+  try {
+    await docClient.send(new PutCommand({
+      TableName: process.env.INSTALLATION_TABLE,
+      Item: {
+        id: jobId,
+        platform: LOCK_PLATFORM,
+        owner,
+        expiresAt: now + ttlMs,
+        ttl: Math.floor((now + ttlMs) / 1000),
+      },
+      ConditionExpression: "attribute_not_exists(id) OR expiresAt < :now OR #owner = :owner",
+      ExpressionAttributeNames: { "#owner": "owner" },
+      ExpressionAttributeValues: { ":now": now, ":owner": owner },
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// 释放同步任务的锁，锁已过期并被其他执行获取时不处理
+export async function releaseSyncLock(jobId, owner) {
+  try {
+    await docClient.send(new DeleteCommand({
+      TableName: process.env.INSTALLATION_TABLE,
+      Key: { id: jobId, platform: LOCK_PLATFORM },
+      ConditionExpression: "#owner = :owner",
+      ExpressionAttributeNames: { "#owner": "owner" },
+      ExpressionAttributeValues: { ":owner": owner },
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+}
+
+// 获取商店最近一次完成同步的时间（毫秒），从未同步过时返回 null
+export async function getWatermark(handle) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: handle, platform: WATERMARK_PLATFORM },
+  }));
+  return result.Item?.syncedAt ?? null;
+}
+
+// 同步完成后推进水位，syncedAt 为该次同步的开始时间；已有更新的水位时不回退
+export async function saveWatermark(handle, syncedAt) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: process.env.INSTALLATION_TABLE,
+      Key: { id: handle, platform: WATERMARK_PLATFORM },
+      UpdateExpression: "SET syncedAt = :syncedAt, updatedAt = :now",
+      ConditionExpression: "attribute_not_exists(syncedAt) OR syncedAt < :syncedAt",
+      ExpressionAttributeValues: { ":syncedAt": syncedAt, ":now": Date.now() },
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+}
@@ -1,3 +1,14 @@
+import { BatchWriteCommand } from "@aws-sdk/lib-dynamodb";
+import { logger } from './logger.mjs';
+
+// BatchWrite 单次最多 25 条
+const BATCH_WRITE_LIMIT = 25;
+
+// 未处理的写请求（UnprocessedItems）最多重试的次数
+const BATCH_WRITE_MAX_RETRIES = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 export const generateId = () => {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
@@ -8,9 +19,27 @@ export const validateProduct = (product) => {
 };
 
 export const handleError = (error) => {
-  console.error('Error:', error);
+  logger.error('Unhandled error', { error });
   return {
     statusCode: 500,
     body: JSON.stringify({ message: 'Internal server error' })
   };
 };
+
+// 分批执行 BatchWrite，表被限流时返回的未处理请求按指数退避重试，重试后仍未处理时抛出错误
+export async function batchWriteAll(docClient, tableName, writeRequests, { baseDelayMs = 100 } = {}) {
+  for (let i = 0; i < writeRequests.length; i += BATCH_WRITE_LIMIT) {
+    let requestItems = { [tableName]: writeRequests.slice(i, i + BATCH_WRITE_LIMIT) };
+    for (let attempt = 0; ; attempt++) {
+      const result = await docClient.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      requestItems = result.UnprocessedItems;
+      if (!requestItems || Object.keys(requestItems).length === 0) {
+        break;
+      }
+      if (attempt >= BATCH_WRITE_MAX_RETRIES) {
+        throw new Error(`BatchWrite left ${requestItems[tableName]?.length ?? 0} unprocessed items in ${tableName}`);
+      }
+      await sleep(Math.random() * baseDelayMs * 2 ** attempt);
+    }
+  }
+}
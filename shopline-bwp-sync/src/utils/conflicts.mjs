@@ -0,0 +1,139 @@
+// src/utils/conflicts.mjs
+import { isDeepStrictEqual } from 'util';
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, DeleteCommand, GetCommand, PutCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { toComparable } from './product-mapping.mjs';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 与产品映射存放在同一张表
+const conflictKey = (handle, productId) => ({ handle, shoplineId: `conflict#${productId}` });
+
+// 冲突的解决方式：以哪个平台的值为准
+export const CONFLICT_RESOLUTIONS = ['shopline', 'bwp'];
+
+// 将 BWP 产品数据展开为 字段路径 -> 值，SKU 字段的路径为 skus/<externalId>/<字段>
+function flatten(product) {
+  const { skus, ...fields } = toComparable(product);
+  const flat = new Map(Object.entries(fields));
+  for (const { externalId, ...skuFields } of skus) {
+    for (const [field, value] of Object.entries(skuFields)) {
+      flat.set(`skus/${externalId}/${field}`, value);
+    }
+  }
+  return flat;
+}
+
+// 比较两个版本的 BWP 产品数据，返回变化的字段路径及前后的值；before 为空（新建）时所有字段都视为变化
+export function diffProducts(before, after) {
+  const previous = before ? flatten(before) : new Map();
+  const current = after ? flatten(after) : new Map();
+  const paths = new Set([...previous.keys(), ...current.keys()]);
+  return [...paths]
+    .filter((path) => !isDeepStrictEqual(previous.get(path), current.get(path)))
+    .map((path) => ({ path, before: previous.get(path) ?? null, after: current.get(path) ?? null }));
+}
+
+// 按路径设置值，返回新的产品数据；SKU 不存在时忽略
+function setPath(product, path, value) {
+  const [head, externalId, field] = path.split('/');
+  if (head !== 'skus') {
+    return { ...product, [path]: value };
+  }
+  return {
+    ...product,
+    skus: product.skus.map((sku) => (String(sku.externalId) === externalId ? { ...sku, [field]: value } : sku)),
+  };
+}
+
+// 按路径用 source 中的值覆盖 data
+export function applyPaths(data, source, paths) {
+  const values = flatten(source);
+  return paths.reduce((result, path) => (values.has(path) ? setPath(result, path, values.get(path)) : result), data);
+}
+
+// 以上次同步时两边的快照为基准做三方合并：
+// - Shopline 未修改的字段保留 BWP 当前的值（包括 BWP 侧的修改）
+// - 只有 Shopline 修改、或两边修改为相同值的字段使用 Shopline 的值
+// - 两边修改为不同值的字段为冲突，按策略处理；manual 时保留 BWP 的值并返回冲突，等待人工解决
+// 没有快照（首次同步）时以 Shopline 为准
+export function mergeThreeWay({ shopline, bwp, shoplineBase, bwpBase, policy = 'shopline-wins' }) {
+  if (!shoplineBase || !bwpBase) {
+    return { data: shopline, conflicts: [] };
+  }
+
+  const ours = flatten(shopline);
+  const theirs = flatten(bwp);
+  const oursBase = flatten(shoplineBase);
+  const theirsBase = flatten(bwpBase);
+
+  let data = shopline;
+  const conflicts = [];
+  for (const [path, value] of ours) {
+    const shoplineChanged = !isDeepStrictEqual(value, oursBase.get(path));
+    const bwpChanged = !isDeepStrictEqual(theirs.get(path), theirsBase.get(path));
+    if (!theirs.has(path) || (shoplineChanged && (!bwpChanged || isDeepStrictEqual(value, theirs.get(path))))) {
+      continue;
+    }
+    if (shoplineChanged) {
+      conflicts.push({ path, base: oursBase.get(path) ?? null, shopline: value, bwp: theirs.get(path) });
+      if (policy === 'shopline-wins') {
+        continue;
+      }
+    }
+    data = setPath(data, path, theirs.get(path));
+  }
+
+  return { data, conflicts };
+}
+
+// 记录待人工解决的冲突，同一产品只保留最新的一条
+export async function saveConflict(handle, productId, { bwpProductId, fields }) {
+  const item = {
+    ...conflictKey(handle, productId),
+    productId: String(productId),
+    bwpProductId: bwpProductId ? String(bwpProductId) : null,
+    fields,
+    detectedAt: Date.now(),
+  };
+  await docClient.send(new PutCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Item: item,
+  }));
+  return item;
+}
+
+// 获取产品待解决的冲突，不存在时返回 null
+export async function getConflict(handle, productId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: conflictKey(handle, productId),
+  }));
+  return result.Item || null;
+}
+
+// 列出商店待解决的冲突
+export async function listConflicts(handle) {
+  const conflicts = [];
+  let exclusiveStartKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: process.env.PRODUCT_MAPPING_TABLE,
+      KeyConditionExpression: "handle = :handle AND begins_with(shoplineId, :prefix)",
+      ExpressionAttributeValues: { ":handle": handle, ":prefix": 'conflict#' },
+      ExclusiveStartKey: exclusiveStartKey,
+    }));
+    conflicts.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return conflicts;
+}
+
+// 冲突解决后删除记录
+export async function deleteConflict(handle, productId) {
+  await docClient.send(new DeleteCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: conflictKey(handle, productId),
+  }));
+}
@@ -0,0 +1,215 @@
+// src/utils/credentials.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import { SecretsManager } from "@aws-sdk/client-secrets-manager";
+import { ShoplineClient } from './shopline-client.mjs';
+import { BwpClient } from './bwp-client.mjs';
+import { logger } from './logger.mjs';
+import { putMetric } from './metrics.mjs';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const secretsManager = new SecretsManager();
+
+// access token 距离过期不足该时间时提前刷新
+const SHOPLINE_TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// 凭证和 token 的缓存时间：同一次调用（及容器内紧接着的调用）复用，不必每个请求都读取 Secrets Manager 和 DynamoDB
+const CREDENTIAL_CACHE_TTL_MS = 60 * 1000;
+
+// key -> { promise, expiresAt }，加载失败的结果不缓存
+const credentialCache = new Map();
+
+function cached(key, load) {
+  const entry = credentialCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.promise;
+  }
+  const promise = load().catch((error) => {
+    credentialCache.delete(key);
+    throw error;
+  });
+  credentialCache.set(key, { promise, expiresAt: Date.now() + CREDENTIAL_CACHE_TTL_MS });
+  return promise;
+}
+
+// token 刷新后清除缓存
+function invalidateCached(key) {
+  credentialCache.delete(key);
+}
+
+async function getSecret(secretId, name) {
+  return cached(`secret#${secretId}`, () => loadSecret(secretId, name));
+}
+
+async function loadSecret(secretId, name) {
+  try {
+    const secretValue = await secretsManager.getSecretValue({ SecretId: secretId });
+    return JSON.parse(secretValue.SecretString);
+  } catch (error) {
+    logger.error('Failed to fetch credentials', { secret: name, error });
+    throw new Error(`Failed to get ${name} credentials`);
+  }
+}
+
+// 获取 Shopline 凭证
+export async function getShoplineCredentials() {
+  return getSecret(process.env.SHOPLINE_CREDENTIALS_ARN, 'Shopline');
+}
+
+// 获取 BWP 应用凭证
+export async function getBWPAppCredentials() {
+  return getSecret(process.env.BWP_CREDENTIALS_ARN, 'BWP');
+}
+
+// 获取会话 token 的签名密钥
+export async function getSessionSigningKey() {
+  const secret = await getSecret(process.env.SESSION_SECRET_ARN, 'session');
+  return secret.signingKey;
+}
+
+// 获取 BWP 凭证和 token
+export async function getBWPCredentials(installationId) {
+  const tokenData = await cached(`bwp-token#${installationId}`, () => docClient.send(new GetCommand({
+    TableName: process.env.BWP_TOKEN_STORE_TABLE,
+    Key: { installation_id: installationId }
+  })));
+
+  if (!tokenData.Item) {
+    throw new Error("BWP token not found");
+  }
+
+  const credentials = await getBWPAppCredentials();
+
+  return {
+    ...credentials,
+    accessToken: tokenData.Item.token,
+    refreshToken: tokenData.Item.refresh_token
+  };
+}
+
+// 获取商店的 Shopline token
+export async function getShoplineToken(handle) {
+  const tokenData = await cached(`shopline-token#${handle}`, () => docClient.send(new GetCommand({
+    TableName: process.env.SHOPLINE_TOKEN_STORE_TABLE,
+    Key: { handle }
+  })));
+
+  if (!tokenData.Item) {
+    throw new Error("Shopline token not found");
+  }
+
+  return tokenData.Item;
+}
+
+// 保存商店的 Shopline token
+// 传入 previous 时仅在记录未被其他调用方刷新过的情况下写入
+export async function saveShoplineToken(handle, token, previous) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: process.env.SHOPLINE_TOKEN_STORE_TABLE,
+      Item: {
+        handle,
+        accessToken: token.accessToken,
+        refreshToken: token.refreshToken,
+        expiresAt: token.expiresAt,
+        updatedAt: Date.now(),
+      },
+      ...(previous && {
+        ConditionExpression: "accessToken = :previousToken",
+        ExpressionAttributeValues: { ":previousToken": previous.accessToken },
+      }),
+    }));
+  } finally {
+    // 写入成功或已被其他调用方刷新，缓存的 token 都已过时
+    invalidateCached(`shopline-token#${handle}`);
+  }
+}
+
+// 获取所有商店的 Shopline token
+export async function getAllShoplineTokens() {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await docClient.send(new ScanCommand({
+      TableName: process.env.SHOPLINE_TOKEN_STORE_TABLE,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+// 刷新商店的 Shopline token
+export async function refreshShoplineToken(handle, current, credentials) {
+  const appCredentials = credentials || await getShoplineCredentials();
+  const client = new ShoplineClient({
+    handle,
+    appKey: appCredentials.appKey,
+    appSecret: appCredentials.appSecret,
+  });
+
+  let newToken;
+  try {
+    newToken = await client.refreshToken(current.refreshToken);
+  } catch (error) {
+    putMetric('TokenRefreshFailures', 1, { dimensions: { Platform: 'shopline' } });
+    throw error;
+  }
+  putMetric('TokenRefreshes', 1, { dimensions: { Platform: 'shopline' } });
+  const token = {
+    ...newToken,
+    // 未返回新的 refresh token 时沿用旧值
+    refreshToken: newToken.refreshToken || current.refreshToken,
+  };
+
+  try {
+    await saveShoplineToken(handle, token, current);
+  } catch (error) {
+    // 并发刷新时以先写入的 token 为准
+    if (error.name === 'ConditionalCheckFailedException') {
+      return getShoplineToken(handle);
+    }
+    throw error;
+  }
+
+  return token;
+}
+
+// 创建商店对应的 Shopline 客户端
+// token 过期时先刷新，调用返回 401 时刷新后重试一次
+export async function createShoplineClient(handle, options = {}) {
+  const credentials = await getShoplineCredentials();
+  let token = await getShoplineToken(handle);
+
+  if (token.expiresAt <= Date.now() + SHOPLINE_TOKEN_EXPIRY_MARGIN_MS) {
+    token = await refreshShoplineToken(handle, token, credentials);
+  }
+
+  return new ShoplineClient({
+    ...options,
+    handle,
+    accessToken: token.accessToken,
+    appKey: credentials.appKey,
+    appSecret: credentials.appSecret,
+    onUnauthorized: async () => {
+      token = await refreshShoplineToken(handle, token, credentials);
+      return token.accessToken;
+    },
+  });
+}
+
+// 创建安装对应的 BWP 客户端
+export async function createBwpClient(installationId, options = {}) {
+  const credentials = await getBWPCredentials(installationId);
+  return new BwpClient({
+    ...options,
+    installationId,
+    accessToken: credentials.accessToken,
+    clientId: credentials.clientId,
+    clientSecret: credentials.clientSecret,
+  });
+}
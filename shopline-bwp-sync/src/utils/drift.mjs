@@ -0,0 +1,139 @@
+// src/utils/drift.mjs
+import { S3Client, GetObjectCommand, PutObjectCommand, NoSuchKey } from "@aws-sdk/client-s3";
+import { isExcluded } from './product-mapping.mjs';
+import { DEFAULT_MAPPING_CONFIG } from './mapping-config.mjs';
+import { diffProducts } from './conflicts.mjs';
+import { loadBWPProducts, prepareBWPData } from './sync.mjs';
+
+const s3Client = new S3Client({});
+
+export const DRIFT_REPORT_FORMATS = ['json', 'csv'];
+
+const CSV_COLUMNS = ['type', 'productId', 'bwpProductId', 'title', 'field', 'shopline', 'bwp'];
+
+// 商店的差异报告配置，未配置的项使用默认值
+export function getDriftReportConfig(config) {
+  return { ...DEFAULT_MAPPING_CONFIG.driftReport, ...(config?.driftReport || {}) };
+}
+
+// BWP 当前的产品与按 Shopline 生成的产品数据不一致的字段（以 BWP 为准的字段已保留 BWP 的值，不会出现）
+function diffFields(bwpProduct, bwpData) {
+  return diffProducts(bwpProduct, bwpData)
+    .map(({ path, before, after }) => ({ field: path, shopline: after, bwp: before }));
+}
+
+// 生成商店的目录差异报告：只在 Shopline 中的产品（已发布、未排除）、只在 BWP 中的产品，
+// 以及两边字段不一致的产品。driftRatio 为有差异的产品占两边产品总数的比例
+export async function buildDriftReport(handle, { shoplineClient, bwpClient, mappingOptions }) {
+  const bwpProducts = await loadBWPProducts(bwpClient);
+  const onlyInShopline = [];
+  const differing = [];
+  let compared = 0;
+
+  for await (const page of shoplineClient.iterateProductPages({ limit: 250 })) {
+    for (const product of page.items) {
+      const productId = String(product.id);
+      const bwpProduct = bwpProducts.get(productId);
+      bwpProducts.delete(productId);
+
+      const { shoplineProduct, bwpData } = await prepareBWPData({ shoplineClient, shoplineProduct: product, bwpProduct, mappingOptions });
+      // 排除的产品不同步，两边是否一致都不算差异
+      if (isExcluded(shoplineProduct, mappingOptions.config)) {
+        continue;
+      }
+      compared += 1;
+
+      if (!bwpProduct) {
+        // 未发布的产品不在 BWP 创建
+        if (bwpData.status !== 'INACTIVE') {
+          onlyInShopline.push({ productId, title: product.title });
+        }
+        continue;
+      }
+
+      const fields = diffFields(bwpProduct, bwpData);
+      if (fields.length > 0) {
+        differing.push({ productId, bwpProductId: bwpProduct.id, title: product.title, fields });
+      }
+    }
+  }
+
+  const onlyInBwp = [...bwpProducts].map(([externalId, bwpProduct]) => ({
+    productId: externalId,
+    bwpProductId: bwpProduct.id,
+    title: bwpProduct.title,
+  }));
+
+  const total = compared + onlyInBwp.length;
+  const drifted = onlyInShopline.length + onlyInBwp.length + differing.length;
+
+  return {
+    handle,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total,
+      onlyInShopline: onlyInShopline.length,
+      onlyInBwp: onlyInBwp.length,
+      differing: differing.length,
+      driftRatio: total > 0 ? drifted / total : 0,
+    },
+    onlyInShopline,
+    onlyInBwp,
+    differing,
+  };
+}
+
+// CSV 单元格：非字符串的值按 JSON 输出，包含逗号、引号或换行时加引号
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 差异报告转为 CSV：每个不一致的字段一行，只在一边存在的产品各一行
+export function toDriftCsv(report) {
+  const rows = [
+    ...report.onlyInShopline.map((product) => ({ type: 'only_in_shopline', ...product })),
+    ...report.onlyInBwp.map((product) => ({ type: 'only_in_bwp', ...product })),
+    ...report.differing.flatMap(({ fields, ...product }) => fields.map((field) => ({ type: 'differing', ...product, ...field }))),
+  ];
+  return [CSV_COLUMNS, ...rows.map((row) => CSV_COLUMNS.map((column) => row[column]))]
+    .map((cells) => cells.map(toCsvCell).join(','))
+    .join('\r\n');
+}
+
+const reportKey = (handle, format) => `drift/${handle}/latest.${format}`;
+
+// 保存商店最新的差异报告（JSON 和 CSV），覆盖上一次的报告
+export async function saveDriftReport(report) {
+  await s3Client.send(new PutObjectCommand({
+    Bucket: process.env.DRIFT_REPORT_BUCKET,
+    Key: reportKey(report.handle, 'json'),
+    Body: JSON.stringify(report),
+    ContentType: 'application/json',
+  }));
+  await s3Client.send(new PutObjectCommand({
+    Bucket: process.env.DRIFT_REPORT_BUCKET,
+    Key: reportKey(report.handle, 'csv'),
+    Body: toDriftCsv(report),
+    ContentType: 'text/csv',
+  }));
+}
+
+// 读取商店最新保存的差异报告内容，未生成过时返回 null
+export async function getLatestDriftReport(handle, format = 'json') {
+  try {
+    const result = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.DRIFT_REPORT_BUCKET,
+      Key: reportKey(handle, format),
+    }));
+    return await result.Body.transformToString();
+  } catch (error) {
+    if (error instanceof NoSuchKey) {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,171 @@
+// src/utils/http.mjs
+import { putMetric, putMetrics } from './metrics.mjs';
+
+// 平台 API 返回非 2xx 时抛出
+export class HttpError extends Error {
+  constructor(request, response) {
+    super(`${request.method} ${request.url} failed with status ${response.status}`);
+    this.name = 'HttpError';
+    this.status = response.status;
+    this.headers = response.headers;
+    this.data = response.data;
+  }
+}
+
+// 单次请求的默认超时
+export const DEFAULT_REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// 默认的 HTTP 传输层，基于 Node 18 内置 fetch
+// transport 的约定：({ method, url, headers, body, timeoutMs }) => Promise<{ status, headers, data }>
+export async function fetchTransport({ method, url, headers, body, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS }) {
+  const response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeoutMs) });
+  const responseHeaders = Object.fromEntries(response.headers.entries());
+  const text = await response.text();
+
+  let data = text;
+  if (text && (responseHeaders['content-type'] || '').includes('application/json')) {
+    data = JSON.parse(text);
+  }
+
+  return {
+    status: response.status,
+    headers: responseHeaders,
+    data,
+  };
+}
+
+// 发送请求，非 2xx 状态码抛出 HttpError
+export async function send(transport, request) {
+  const response = await transport(request);
+  if (response.status < 200 || response.status >= 300) {
+    throw new HttpError(request, response);
+  }
+  return response;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 令牌桶：容量为 capacity，每秒补充 refillPerSecond 个，没有令牌时等待
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    this.refill();
+    while (this.tokens < 1) {
+      await sleep(Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  // 平台返回 429 时清空令牌，后续请求等待补充
+  drain() {
+    this.refill();
+    this.tokens = Math.min(this.tokens, 0);
+  }
+}
+
+// 同一容器内按 key（平台 + 商店）共享令牌桶，多个客户端不会合计超出限额
+const rateLimiters = new Map();
+
+export function getRateLimiter(key, limit) {
+  if (!rateLimiters.has(key)) {
+    rateLimiters.set(key, new TokenBucket(limit));
+  }
+  return rateLimiters.get(key);
+}
+
+// 解析 Retry-After（秒数或 HTTP 日期），返回等待的毫秒数，无法解析时返回 null
+export function parseRetryAfter(headers = {}) {
+  const value = headers['retry-after'] ?? headers['Retry-After'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// 为 transport 记录每次请求（包括重试）的耗时和结果指标，platform 作为指标的维度
+export function withMetrics(transport, platform) {
+  return async (request) => {
+    const startedAt = Date.now();
+    let status = null;
+    try {
+      const response = await transport(request);
+      status = response.status;
+      return response;
+    } finally {
+      putMetric('PlatformApiLatency', Date.now() - startedAt, { unit: 'Milliseconds', dimensions: { Platform: platform } });
+      putMetrics({
+        PlatformApiRequests: 1,
+        PlatformApiThrottled: status === 429 ? 1 : 0,
+        // 网络错误、超时和 5xx
+        PlatformApiErrors: status === null || status >= 500 ? 1 : 0,
+      }, { dimensions: { Platform: platform } });
+    }
+  };
+}
+
+// 非幂等的请求（POST）只在 429 时重试，5xx 或网络错误时平台可能已经处理了请求
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+function isRetryableResponse(method, status) {
+  return status === 429 || (status >= 500 && IDEMPOTENT_METHODS.includes(method));
+}
+
+// 为 transport 增加限流和重试：每次请求先从令牌桶取令牌；429 / 5xx / 网络错误时按 Retry-After
+// 或指数退避（full jitter）等待后重试，最多重试 retries 次，最后一次的响应交给调用方处理
+export function withRateLimit(transport, { limiter, retries = 4, baseDelayMs = 500, maxDelayMs = 20 * 1000 } = {}) {
+  return async (request) => {
+    for (let attempt = 0; ; attempt++) {
+      await limiter?.take();
+
+      let response;
+      try {
+        response = await transport(request);
+      } catch (error) {
+        if (attempt >= retries || !IDEMPOTENT_METHODS.includes(request.method)) {
+          throw error;
+        }
+      }
+
+      if (response && (attempt >= retries || !isRetryableResponse(request.method, response.status))) {
+        return response;
+      }
+
+      if (response?.status === 429) {
+        limiter?.drain();
+      }
+      const retryAfter = response ? parseRetryAfter(response.headers) : null;
+      const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      await sleep(retryAfter !== null ? Math.min(retryAfter, maxDelayMs) : backoff);
+    }
+  };
+}
+
+// 拼接查询参数，忽略 undefined / null
+export function withQuery(url, query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) {
+      params.append(key, String(value));
+    }
+  }
+  const queryString = params.toString();
+  return queryString ? `${url}?${queryString}` : url;
+}
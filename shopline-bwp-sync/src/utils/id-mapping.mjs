@@ -0,0 +1,273 @@
+// src/utils/id-mapping.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  BatchGetCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { batchWriteAll } from './common.mjs';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 反查 BWP id 的 GSI
+const BWP_ID_INDEX = 'BwpIdIndex';
+
+// BatchGet 单次最多 100 条
+const BATCH_GET_LIMIT = 100;
+
+// 排序键：同一商店下产品、变体和库存项分别加前缀
+const productKey = (handle, productId) => ({ handle, shoplineId: `product#${productId}` });
+const variantKey = (handle, variantId) => ({ handle, shoplineId: `variant#${variantId}` });
+const inventoryItemKey = (handle, inventoryItemId) => ({ handle, shoplineId: `inventory_item#${inventoryItemId}` });
+
+// 产品同步状态
+export const SYNC_STATUS = {
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  ERROR: 'error',
+  // 已同步，但有待人工解决的冲突
+  CONFLICT: 'conflict',
+};
+
+// 获取 Shopline 产品的映射记录（BWP id、最近同步的内容 hash / 版本、同步状态）
+export async function getProductMapping(handle, productId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: productKey(handle, productId),
+  }));
+  return result.Item || null;
+}
+
+// 获取 Shopline 变体的映射记录
+export async function getVariantMapping(handle, variantId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: variantKey(handle, variantId),
+  }));
+  return result.Item || null;
+}
+
+// 按 key 批量获取映射记录，未处理的 key 继续请求
+async function batchGetMappings(keys) {
+  const items = [];
+  for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+    let requestItems = {
+      [process.env.PRODUCT_MAPPING_TABLE]: { Keys: keys.slice(i, i + BATCH_GET_LIMIT) },
+    };
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await docClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+      items.push(...(result.Responses?.[process.env.PRODUCT_MAPPING_TABLE] || []));
+      requestItems = result.UnprocessedKeys;
+    }
+  }
+  return items;
+}
+
+// 批量获取产品的映射记录，返回 productId -> 记录，未同步过的产品不在结果中
+export async function getProductMappings(handle, productIds) {
+  const ids = [...new Set(productIds.map(String))];
+  const items = await batchGetMappings(ids.map((productId) => productKey(handle, productId)));
+  return new Map(items.map((item) => [item.productId, item]));
+}
+
+// 批量获取变体的映射记录，返回 variantId -> 记录，未映射的变体不在结果中
+export async function getVariantMappings(handle, variantIds) {
+  const ids = [...new Set(variantIds.map(String))];
+  const items = await batchGetMappings(ids.map((variantId) => variantKey(handle, variantId)));
+  return new Map(items.map((item) => [item.variantId, item]));
+}
+
+// 按 Shopline 库存项 id 获取对应的变体映射记录，不存在时返回 null
+export async function findVariantByInventoryItem(handle, inventoryItemId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: inventoryItemKey(handle, inventoryItemId),
+  }));
+  return result.Item ? getVariantMapping(handle, result.Item.variantId) : null;
+}
+
+// 记录变体最近同步到 BWP 的库存；inventoryItemId 变化时同时记录库存项到变体的映射
+export async function saveVariantInventory(handle, variantId, { productId, inventoryItemId, quantity }) {
+  const now = Date.now();
+
+  if (inventoryItemId) {
+    await docClient.send(new PutCommand({
+      TableName: process.env.PRODUCT_MAPPING_TABLE,
+      Item: {
+        ...inventoryItemKey(handle, inventoryItemId),
+        productId: String(productId),
+        variantId: String(variantId),
+        updatedAt: now,
+      },
+    }));
+  }
+
+  await docClient.send(new UpdateCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: variantKey(handle, variantId),
+    UpdateExpression: inventoryItemId
+      ? "SET inventoryQuantity = :quantity, inventorySyncedAt = :now, inventoryItemId = :inventoryItemId"
+      : "SET inventoryQuantity = :quantity, inventorySyncedAt = :now",
+    ExpressionAttributeValues: {
+      ":quantity": quantity,
+      ":now": now,
+      ...(inventoryItemId ? { ":inventoryItemId": String(inventoryItemId) } : {}),
+    },
+  }));
+}
+
+// 按 BWP 产品 / SKU id 反查映射记录，不存在时返回 null
+export async function findMappingByBwpId(bwpId) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    IndexName: BWP_ID_INDEX,
+    KeyConditionExpression: "bwpId = :bwpId",
+    ExpressionAttributeValues: { ":bwpId": String(bwpId) },
+    Limit: 1,
+  }));
+  return result.Items?.[0] || null;
+}
+
+// 判断是否需要写入 BWP：内容未变化或版本更旧时跳过
+export function checkProductSync(mapping, { contentHash, sourceUpdatedAt }) {
+  if (!mapping) {
+    return { shouldSync: true };
+  }
+  if (sourceUpdatedAt && mapping.sourceUpdatedAt && sourceUpdatedAt < mapping.sourceUpdatedAt) {
+    return { shouldSync: false, reason: 'stale' };
+  }
+  const settled = [SYNC_STATUS.SYNCED, SYNC_STATUS.CONFLICT].includes(mapping.status);
+  if (settled && mapping.contentHash === contentHash) {
+    return { shouldSync: false, reason: 'unchanged' };
+  }
+  return { shouldSync: true };
+}
+
+// 写入 BWP 前占用产品版本，已有更新版本时返回 false
+export async function reserveProductSync(handle, productId, sourceUpdatedAt = 0) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: process.env.PRODUCT_MAPPING_TABLE,
+      Key: productKey(handle, productId),
+      UpdateExpression: "SET productId = :productId, sourceUpdatedAt = :sourceUpdatedAt, #status = :syncing, updatedAt = :now",
+      ConditionExpression: "attribute_not_exists(sourceUpdatedAt) OR sourceUpdatedAt <= :sourceUpdatedAt",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":productId": String(productId),
+        ":sourceUpdatedAt": sourceUpdatedAt,
+        ":syncing": SYNC_STATUS.SYNCING,
+        ":now": Date.now(),
+      },
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// 写入 BWP 成功后记录内容 hash 和两边的快照（三方合并的基准）；期间已有更新版本占用时不覆盖
+export async function completeProductSync(handle, productId, { contentHash, sourceUpdatedAt = 0, shoplineSnapshot, bwpSnapshot, status = SYNC_STATUS.SYNCED }) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: process.env.PRODUCT_MAPPING_TABLE,
+      Key: productKey(handle, productId),
+      UpdateExpression: "SET contentHash = :contentHash, #status = :status, syncedAt = :now, updatedAt = :now, "
+        + "shoplineSnapshot = :shoplineSnapshot, bwpSnapshot = :bwpSnapshot REMOVE lastError",
+      ConditionExpression: "sourceUpdatedAt = :sourceUpdatedAt",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":contentHash": contentHash,
+        ":status": status,
+        ":sourceUpdatedAt": sourceUpdatedAt,
+        ":shoplineSnapshot": shoplineSnapshot ?? null,
+        ":bwpSnapshot": bwpSnapshot ?? null,
+        ":now": Date.now(),
+      },
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+}
+
+// 写入 BWP 失败时记录错误，下次同步会重试
+export async function failProductSync(handle, productId, error) {
+  await docClient.send(new UpdateCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: productKey(handle, productId),
+    UpdateExpression: "SET productId = :productId, #status = :error, lastError = :lastError, updatedAt = :now",
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: {
+      ":productId": String(productId),
+      ":error": SYNC_STATUS.ERROR,
+      ":lastError": { message: error.message, status: error.status ?? null, at: Date.now() },
+      ":now": Date.now(),
+    },
+  }));
+}
+
+// 记录 Shopline 产品对应的 BWP 产品 id，以及各变体（按 SKU 的 externalId 对应）的 BWP SKU。
+// 创建成功后立即写入，避免重复创建
+export async function saveBwpIds(handle, productId, bwpProduct) {
+  const variants = (bwpProduct.skus || []).filter((sku) => sku.externalId);
+  const now = Date.now();
+
+  await docClient.send(new UpdateCommand({
+    TableName: process.env.PRODUCT_MAPPING_TABLE,
+    Key: productKey(handle, productId),
+    UpdateExpression: "SET productId = :productId, bwpId = :bwpId, variantIds = :variantIds, updatedAt = :now",
+    ExpressionAttributeValues: {
+      ":productId": String(productId),
+      ":bwpId": String(bwpProduct.id),
+      ":variantIds": variants.map((sku) => String(sku.externalId)),
+      ":now": now,
+    },
+  }));
+
+  // 保留变体上已记录的库存同步状态
+  for (const sku of variants) {
+    await docClient.send(new UpdateCommand({
+      TableName: process.env.PRODUCT_MAPPING_TABLE,
+      Key: variantKey(handle, sku.externalId),
+      UpdateExpression: sku.id
+        ? "SET productId = :productId, variantId = :variantId, bwpProductId = :bwpProductId, bwpSku = :bwpSku, updatedAt = :now, bwpId = :bwpId"
+        : "SET productId = :productId, variantId = :variantId, bwpProductId = :bwpProductId, bwpSku = :bwpSku, updatedAt = :now",
+      ExpressionAttributeValues: {
+        ":productId": String(productId),
+        ":variantId": String(sku.externalId),
+        ":bwpProductId": String(bwpProduct.id),
+        ":bwpSku": sku.sku,
+        ":now": now,
+        // 没有 SKU id 时不写 bwpId，不进入 GSI
+        ...(sku.id ? { ":bwpId": String(sku.id) } : {}),
+      },
+    }));
+  }
+}
+
+// 产品从 BWP 删除后清除产品、变体及库存项的映射，重新创建时按新产品同步
+export async function deleteProductMapping(handle, productId) {
+  const mapping = await getProductMapping(handle, productId);
+  const variants = await getVariantMappings(handle, mapping?.variantIds || []);
+  const keys = [
+    productKey(handle, productId),
+    ...[...variants.values()].flatMap((variant) => [
+      variantKey(handle, variant.variantId),
+      ...(variant.inventoryItemId ? [inventoryItemKey(handle, variant.inventoryItemId)] : []),
+    ]),
+  ];
+
+  await batchWriteAll(
+    docClient,
+    process.env.PRODUCT_MAPPING_TABLE,
+    keys.map((Key) => ({ DeleteRequest: { Key } }))
+  );
+}
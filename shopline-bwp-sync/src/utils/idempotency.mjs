@@ -0,0 +1,115 @@
+// src/utils/idempotency.mjs
+import crypto from 'crypto';
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, DeleteCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 已处理的 webhook 记录保留时间，需覆盖 Shopline 的重试周期
+const WEBHOOK_RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// 处理中的 webhook 锁超时时间，超过后允许其他调用重新处理
+const WEBHOOK_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// 写回 Shopline 后等待对应 webhook 回声的时间
+const ECHO_TTL_MS = 10 * 60 * 1000;
+
+const webhookKey = (handle, webhookId) => `webhook#${handle}#${webhookId}`;
+const echoKey = (handle, resource, resourceId) => `echo#${handle}#${resource}#${resourceId}`;
+
+// 按 key 排序后序列化，保证相同内容得到相同的 hash
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 计算内容 hash
+export function hashContent(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+// 占用 webhook，返回 false 表示已处理过或正在处理
+export async function claimWebhook(handle, webhookId) {
+  const now = Date.now();
+  try {
+    await docClient.send(new PutCommand({
+      TableName: process.env.IDEMPOTENCY_TABLE,
+      Item: {
+        id: webhookKey(handle, webhookId),
+        status: 'in_progress',
+        lockExpiresAt: now + WEBHOOK_LOCK_TIMEOUT_MS,
+        ttl: Math.floor(now / 1000) + WEBHOOK_RECORD_TTL_SECONDS,
+      },
+      ConditionExpression: "attribute_not_exists(id) OR (#status = :inProgress AND lockExpiresAt < :now)",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: { ":inProgress": 'in_progress', ":now": now },
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// 标记 webhook 已处理完成
+export async function completeWebhook(handle, webhookId) {
+  await docClient.send(new UpdateCommand({
+    TableName: process.env.IDEMPOTENCY_TABLE,
+    Key: { id: webhookKey(handle, webhookId) },
+    UpdateExpression: "SET #status = :completed, completedAt = :now REMOVE lockExpiresAt",
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: { ":completed": 'completed', ":now": Date.now() },
+  }));
+}
+
+// 处理失败时释放 webhook，允许重试
+export async function releaseWebhook(handle, webhookId) {
+  await docClient.send(new DeleteCommand({
+    TableName: process.env.IDEMPOTENCY_TABLE,
+    Key: { id: webhookKey(handle, webhookId) },
+  }));
+}
+
+// 由 BWP 事件写回 Shopline 后记录预期的回声，fingerprint 为写入后资源的内容指纹
+export async function recordEcho(handle, resource, resourceId, fingerprint) {
+  const now = Date.now();
+  await docClient.send(new PutCommand({
+    TableName: process.env.IDEMPOTENCY_TABLE,
+    Item: {
+      id: echoKey(handle, resource, resourceId),
+      fingerprint,
+      expiresAt: now + ECHO_TTL_MS,
+      ttl: Math.floor((now + ECHO_TTL_MS) / 1000),
+    },
+  }));
+}
+
+// Shopline webhook 的内容与记录的回声一致时消费该记录并返回 true，此时不再同步回 BWP，避免循环
+export async function consumeEcho(handle, resource, resourceId, fingerprint) {
+  try {
+    await docClient.send(new DeleteCommand({
+      TableName: process.env.IDEMPOTENCY_TABLE,
+      Key: { id: echoKey(handle, resource, resourceId) },
+      ConditionExpression: "fingerprint = :fingerprint AND expiresAt > :now",
+      ExpressionAttributeValues: { ":fingerprint": fingerprint, ":now": Date.now() },
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,91 @@
+// src/utils/inventory.mjs
+import { getVariantMappings, saveVariantInventory } from './id-mapping.mjs';
+
+// Shopline inventory_levels 接口单次最多查询的库存项数量
+const INVENTORY_ITEMS_PER_REQUEST = 50;
+
+// 地点是否计入 BWP 库存，未配置地点时全部计入
+export function isLocationIncluded(locationId, config = {}) {
+  const locations = config.inventoryLocations || [];
+  return locations.length === 0 || locations.includes(String(locationId));
+}
+
+// 计算同步到 BWP 的库存：所选地点可用库存之和减去安全库存，不小于 0
+export function toAvailableQuantity(levels, config = {}) {
+  const total = levels
+    .filter((level) => isLocationIncluded(level.location_id, config))
+    .reduce((sum, level) => sum + (Number(level.available) || 0), 0);
+  return Math.max(0, total - (config.inventoryBuffer || 0));
+}
+
+// 按库存项分组获取所选地点的库存
+async function getInventoryLevels(shoplineClient, inventoryItemIds, config) {
+  const levelsByItem = new Map(inventoryItemIds.map((id) => [String(id), []]));
+
+  for (let i = 0; i < inventoryItemIds.length; i += INVENTORY_ITEMS_PER_REQUEST) {
+    const levels = await shoplineClient.listInventoryLevels({
+      inventoryItemIds: inventoryItemIds.slice(i, i + INVENTORY_ITEMS_PER_REQUEST),
+      locationIds: config.inventoryLocations,
+    });
+    for (const level of levels || []) {
+      levelsByItem.get(String(level.inventory_item_id))?.push(level);
+    }
+  }
+
+  return levelsByItem;
+}
+
+// 将产品各变体的库存同步到 BWP，只处理已在 BWP 建立 SKU 的变体，库存未变化时跳过
+export async function syncInventory({ handle, shoplineClient, bwpClient, products, config = {} }) {
+  const variants = products
+    .flatMap((product) => (product.variants || []).map((variant) => ({ ...variant, productId: product.id })))
+    .filter((variant) => variant.inventory_item_id);
+  if (variants.length === 0) {
+    return [];
+  }
+
+  const mappings = await getVariantMappings(handle, variants.map((variant) => variant.id));
+  const mappedVariants = variants.filter((variant) => mappings.get(String(variant.id))?.bwpSku);
+  const levelsByItem = await getInventoryLevels(
+    shoplineClient,
+    mappedVariants.map((variant) => variant.inventory_item_id),
+    config
+  );
+
+  const results = [];
+  for (const variant of mappedVariants) {
+    const mapping = mappings.get(String(variant.id));
+    const quantity = toAvailableQuantity(levelsByItem.get(String(variant.inventory_item_id)) || [], config);
+    const inventoryItemChanged = mapping.inventoryItemId !== String(variant.inventory_item_id);
+
+    if (mapping.inventoryQuantity === quantity && !inventoryItemChanged) {
+      results.push({ action: 'skipped', variantId: variant.id, reason: 'unchanged' });
+      continue;
+    }
+
+    await bwpClient.updateInventory(mapping.bwpSku, quantity);
+    await saveVariantInventory(handle, variant.id, {
+      productId: variant.productId,
+      inventoryItemId: inventoryItemChanged ? variant.inventory_item_id : undefined,
+      quantity,
+    });
+    results.push({ action: 'updated', variantId: variant.id, sku: mapping.bwpSku, quantity });
+  }
+
+  return results;
+}
+
+// 单个库存项变化时（inventory_levels/update）重新计算并同步对应 SKU 的库存
+export async function syncInventoryItem({ handle, shoplineClient, bwpClient, variantMapping, config = {} }) {
+  const { variantId, productId, inventoryItemId, bwpSku } = variantMapping;
+  const levels = await getInventoryLevels(shoplineClient, [inventoryItemId], config);
+  const quantity = toAvailableQuantity(levels.get(String(inventoryItemId)) || [], config);
+
+  if (variantMapping.inventoryQuantity === quantity) {
+    return { action: 'skipped', variantId, reason: 'unchanged' };
+  }
+
+  await bwpClient.updateInventory(bwpSku, quantity);
+  await saveVariantInventory(handle, variantId, { productId, quantity });
+  return { action: 'updated', variantId, sku: bwpSku, quantity };
+}
@@ -0,0 +1,62 @@
+// src/utils/logger.mjs
+import { AsyncLocalStorage } from 'async_hooks';
+
+// 结构化 JSON 日志：每行一个 JSON 对象，包含当前调用的关联字段（requestId、handle、productId、runId 等），
+// 可在 CloudWatch Logs Insights 中按字段查询
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
+
+const logContext = new AsyncLocalStorage();
+
+// Error 的属性不会被 JSON.stringify 输出，单独展开；HttpError 附带状态码
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    stack: error.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < minLevel) {
+    return;
+  }
+  const { error, ...rest } = fields;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...logContext.getStore(),
+    ...rest,
+    ...(error !== undefined ? { error: serializeError(error) } : {}),
+  };
+  // 直接写 stdout，不带 Lambda 给 console 输出加的前缀，日志行是完整的 JSON
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+// 在 fn 执行期间（包括其中的异步调用）为日志附加关联字段，嵌套时合并外层的字段
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// 为当前上下文追加关联字段，例如处理过程中才确定的商店 handle
+export function appendLogContext(fields) {
+  Object.assign(logContext.getStore() || {}, fields);
+}
+
+// 包装 Lambda handler：每次调用使用独立的日志上下文，附带调用的 requestId
+export function withLogging(handler) {
+  return (event, context) => withLogContext({ requestId: context?.awsRequestId }, () => handler(event, context));
+}
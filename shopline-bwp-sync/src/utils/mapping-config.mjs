@@ -0,0 +1,190 @@
+// src/utils/mapping-config.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, DeleteCommand, GetCommand, PutCommand } from "@aws-sdk/lib-dynamodb";
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 与安装记录存放在同一张表，使用单独的 platform 排序键
+const MAPPING_CONFIG_PLATFORM = 'mapping_config';
+
+const SKU_SOURCE_TYPES = ['sku', 'barcode', 'metafield'];
+
+// 可按字段指定以哪个平台为准的产品字段，未配置的字段以 Shopline 为准
+export const OWNED_FIELDS = ['title', 'description', 'status'];
+const FIELD_OWNERS = ['shopline', 'bwp'];
+
+// 两边都修改了同一字段时的处理方式
+export const CONFLICT_POLICIES = ['shopline-wins', 'bwp-wins', 'manual'];
+
+// 产品 API 同步 BWP 失败时的处理：reconcile 保留 Shopline 的修改等待同步重试，rollback 回滚 Shopline
+export const WRITE_FAILURE_POLICIES = ['reconcile', 'rollback'];
+
+export const DEFAULT_MAPPING_CONFIG = {
+  stripHtml: false,
+  skuSource: { type: 'sku' },
+  excludeTags: [],
+  excludeCollections: [],
+  priceMultiplier: 1,
+  // 全量对账时自动删除 Shopline 中已不存在的 BWP 产品，关闭时只标记
+  autoRemoveOrphans: false,
+  // 同步到 BWP 的库存 = 所选地点（为空时为全部地点）的可用库存之和 - 安全库存
+  inventoryBuffer: 0,
+  inventoryLocations: [],
+  fieldOwnership: {},
+  // 两边在上次同步后都修改了同一字段时的处理方式
+  conflictPolicy: 'shopline-wins',
+  // 通过产品 API 修改时，Shopline 写入成功但 BWP 写入重试后仍失败的处理方式
+  writeFailurePolicy: 'reconcile',
+  // 定时生成差异报告并写入 S3，差异产品占比超过 threshold 时标记商店
+  driftReport: { enabled: false, threshold: 0.05 },
+};
+
+// 字段以哪个平台为准
+export function getFieldOwner(config, field) {
+  return config?.fieldOwnership?.[field] || 'shopline';
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item);
+
+// 校验映射配置，返回错误列表
+export function validateMappingConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  const allowedKeys = Object.keys(DEFAULT_MAPPING_CONFIG);
+  for (const key of Object.keys(config)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`unknown field: ${key}`);
+    }
+  }
+
+  if (config.stripHtml !== undefined && typeof config.stripHtml !== 'boolean') {
+    errors.push('stripHtml must be a boolean');
+  }
+
+  if (config.skuSource !== undefined) {
+    const { type, namespace, key } = config.skuSource || {};
+    if (!SKU_SOURCE_TYPES.includes(type)) {
+      errors.push(`skuSource.type must be one of ${SKU_SOURCE_TYPES.join(', ')}`);
+    } else if (type === 'metafield' && (typeof namespace !== 'string' || !namespace || typeof key !== 'string' || !key)) {
+      errors.push('skuSource.namespace and skuSource.key are required for metafield SKUs');
+    }
+  }
+
+  if (config.excludeTags !== undefined && !isStringArray(config.excludeTags)) {
+    errors.push('excludeTags must be an array of non-empty strings');
+  }
+
+  if (config.excludeCollections !== undefined && !isStringArray(config.excludeCollections)) {
+    errors.push('excludeCollections must be an array of collection ids');
+  }
+
+  if (config.autoRemoveOrphans !== undefined && typeof config.autoRemoveOrphans !== 'boolean') {
+    errors.push('autoRemoveOrphans must be a boolean');
+  }
+
+  if (config.inventoryBuffer !== undefined) {
+    const { inventoryBuffer } = config;
+    if (!Number.isInteger(inventoryBuffer) || inventoryBuffer < 0 || inventoryBuffer > 10000) {
+      errors.push('inventoryBuffer must be an integer between 0 and 10000');
+    }
+  }
+
+  if (config.inventoryLocations !== undefined && !isStringArray(config.inventoryLocations)) {
+    errors.push('inventoryLocations must be an array of location ids');
+  }
+
+  if (config.fieldOwnership !== undefined) {
+    const { fieldOwnership } = config;
+    if (!fieldOwnership || typeof fieldOwnership !== 'object' || Array.isArray(fieldOwnership)) {
+      errors.push('fieldOwnership must be an object');
+    } else {
+      for (const [field, owner] of Object.entries(fieldOwnership)) {
+        if (!OWNED_FIELDS.includes(field)) {
+          errors.push(`fieldOwnership.${field} is not supported, must be one of ${OWNED_FIELDS.join(', ')}`);
+        } else if (!FIELD_OWNERS.includes(owner)) {
+          errors.push(`fieldOwnership.${field} must be one of ${FIELD_OWNERS.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  if (config.conflictPolicy !== undefined && !CONFLICT_POLICIES.includes(config.conflictPolicy)) {
+    errors.push(`conflictPolicy must be one of ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  if (config.writeFailurePolicy !== undefined && !WRITE_FAILURE_POLICIES.includes(config.writeFailurePolicy)) {
+    errors.push(`writeFailurePolicy must be one of ${WRITE_FAILURE_POLICIES.join(', ')}`);
+  }
+
+  if (config.driftReport !== undefined) {
+    const { driftReport } = config;
+    if (!driftReport || typeof driftReport !== 'object' || Array.isArray(driftReport)) {
+      errors.push('driftReport must be an object');
+    } else {
+      for (const key of Object.keys(driftReport)) {
+        if (!Object.keys(DEFAULT_MAPPING_CONFIG.driftReport).includes(key)) {
+          errors.push(`unknown field: driftReport.${key}`);
+        }
+      }
+      if (driftReport.enabled !== undefined && typeof driftReport.enabled !== 'boolean') {
+        errors.push('driftReport.enabled must be a boolean');
+      }
+      const { threshold } = driftReport;
+      if (threshold !== undefined && (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1))) {
+        errors.push('driftReport.threshold must be a number between 0 and 1');
+      }
+    }
+  }
+
+  if (config.priceMultiplier !== undefined) {
+    const { priceMultiplier } = config;
+    if (typeof priceMultiplier !== 'number' || !Number.isFinite(priceMultiplier) || priceMultiplier <= 0 || priceMultiplier > 100) {
+      errors.push('priceMultiplier must be a number greater than 0 and at most 100');
+    }
+  }
+
+  return errors;
+}
+
+// 获取商店的映射配置，未配置时返回默认值
+export async function getMappingConfig(handle) {
+  const result = await docClient.send(new GetCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: handle, platform: MAPPING_CONFIG_PLATFORM },
+  }));
+
+  return {
+    ...DEFAULT_MAPPING_CONFIG,
+    ...(result.Item?.config || {}),
+  };
+}
+
+// 保存商店的映射配置，调用前需先校验
+export async function saveMappingConfig(handle, config) {
+  const item = {
+    id: handle,
+    platform: MAPPING_CONFIG_PLATFORM,
+    config,
+    updatedAt: Date.now(),
+  };
+
+  await docClient.send(new PutCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Item: item,
+  }));
+
+  return { ...DEFAULT_MAPPING_CONFIG, ...config };
+}
+
+// 删除商店的映射配置，恢复默认值
+export async function deleteMappingConfig(handle) {
+  await docClient.send(new DeleteCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: handle, platform: MAPPING_CONFIG_PLATFORM },
+  }));
+}
@@ -0,0 +1,28 @@
+// src/utils/metrics.mjs
+
+// 自定义 CloudWatch 指标，使用 Embedded Metric Format 写入日志，由 CloudWatch 提取，不需要调用 PutMetricData
+export const METRICS_NAMESPACE = process.env.METRICS_NAMESPACE || 'ShoplineBwpSync';
+
+// 输出一组指标（单位相同）。指定 dimensions 时同时输出不带维度的汇总值和按维度的值，
+// 维度只使用取值有限的字段（平台、触发方式等），不使用商店 handle
+export function putMetrics(values, { unit = 'Count', dimensions = {} } = {}) {
+  const dimensionKeys = Object.keys(dimensions);
+  const entry = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: METRICS_NAMESPACE,
+        Dimensions: dimensionKeys.length > 0 ? [[], dimensionKeys] : [[]],
+        Metrics: Object.keys(values).map((name) => ({ Name: name, Unit: unit })),
+      }],
+    },
+    ...dimensions,
+    ...values,
+  };
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+// 输出单个指标
+export function putMetric(name, value, options) {
+  putMetrics({ [name]: value }, options);
+}
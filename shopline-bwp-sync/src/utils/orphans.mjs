@@ -0,0 +1,66 @@
+// src/utils/orphans.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, PutCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { batchWriteAll } from './common.mjs';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 与安装记录存放在同一张表，每个孤儿产品一条记录，platform 排序键加前缀
+const ORPHAN_PREFIX = 'bwp_orphan#';
+
+const orphanKey = (handle, bwpProductId) => ({ id: handle, platform: `${ORPHAN_PREFIX}${bwpProductId}` });
+
+// 分页游标与 DynamoDB 的 LastEvaluatedKey 互相转换
+const encodeNextToken = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+const decodeNextToken = (token) => (token ? JSON.parse(Buffer.from(token, 'base64url').toString()) : undefined);
+
+// 记录孤儿产品（Shopline 中已不存在的 BWP 产品），scanId 为发现它的全量对账
+export async function saveOrphan(handle, { bwpProductId, productId, title }, scanId) {
+  await docClient.send(new PutCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Item: {
+      ...orphanKey(handle, bwpProductId),
+      bwpProductId: String(bwpProductId),
+      productId: String(productId),
+      title: title ?? null,
+      scanId,
+      detectedAt: Date.now(),
+    },
+  }));
+}
+
+// 分页列出商店最近一次全量对账发现的孤儿产品
+export async function listOrphans(handle, { limit, nextToken } = {}) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    KeyConditionExpression: "id = :handle AND begins_with(platform, :prefix)",
+    ExpressionAttributeValues: { ":handle": handle, ":prefix": ORPHAN_PREFIX },
+    Limit: limit,
+    ExclusiveStartKey: decodeNextToken(nextToken),
+  }));
+  const items = (result.Items || []).map(({ bwpProductId, productId, title, detectedAt }) => ({ bwpProductId, productId, title, detectedAt }));
+  return { items, nextToken: encodeNextToken(result.LastEvaluatedKey) };
+}
+
+// 全量对账完成后删除本次（scanId）没有再发现的孤儿记录：产品已删除或 Shopline 中已重新存在
+export async function clearStaleOrphans(handle, scanId) {
+  let exclusiveStartKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: process.env.INSTALLATION_TABLE,
+      KeyConditionExpression: "id = :handle AND begins_with(platform, :prefix)",
+      FilterExpression: "scanId <> :scanId",
+      ExpressionAttributeValues: { ":handle": handle, ":prefix": ORPHAN_PREFIX, ":scanId": scanId },
+      ProjectionExpression: "id, platform",
+      ExclusiveStartKey: exclusiveStartKey,
+    }));
+
+    await batchWriteAll(
+      docClient,
+      process.env.INSTALLATION_TABLE,
+      (result.Items || []).map((Key) => ({ DeleteRequest: { Key } }))
+    );
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+}
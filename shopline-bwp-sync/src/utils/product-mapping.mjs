@@ -0,0 +1,221 @@
+// src/utils/product-mapping.mjs
+import { isDeepStrictEqual } from 'util';
+import { OWNED_FIELDS, getFieldOwner } from './mapping-config.mjs';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Shopline 产品状态到 BWP 状态
+const STATUS_MAP = {
+  active: 'ACTIVE',
+  draft: 'INACTIVE',
+  archived: 'INACTIVE',
+};
+
+// 按位数识别条码类型
+const BARCODE_TYPES = {
+  8: 'EAN',
+  12: 'UPC',
+  13: 'EAN',
+  14: 'GTIN',
+};
+
+// 金额字符串转为数字，无效值返回 null
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+}
+
+function toMoney(value, currency, multiplier = 1) {
+  const amount = toAmount(value);
+  return amount === null ? null : { amount: toAmount(amount * multiplier), currencyCode: currency };
+}
+
+// 去除 HTML 标签并合并空白
+export function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// 产品标签，兼容逗号分隔的字符串和数组
+export function getProductTags(product) {
+  const tags = Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(',');
+  return tags.map((tag) => tag.trim()).filter(Boolean);
+}
+
+// 按映射配置判断产品是否不同步到 BWP
+export function isExcluded(product, config = {}) {
+  const excludeTags = (config.excludeTags || []).map((tag) => tag.toLowerCase());
+  if (getProductTags(product).some((tag) => excludeTags.includes(tag.toLowerCase()))) {
+    return true;
+  }
+  const excludeCollections = (config.excludeCollections || []).map(String);
+  return (product.collection_ids || []).some((id) => excludeCollections.includes(String(id)));
+}
+
+// 按映射配置取 SKU，取不到时回退到变体 SKU / 变体 ID
+function resolveSku(variant, skuSource = {}) {
+  if (skuSource.type === 'barcode' && variant.barcode) {
+    return String(variant.barcode);
+  }
+  if (skuSource.type === 'metafield') {
+    const metafield = (variant.metafields || []).find(
+      (field) => field.namespace === skuSource.namespace && field.key === skuSource.key
+    );
+    if (metafield?.value) {
+      return String(metafield.value);
+    }
+  }
+  // 没有 SKU 的变体使用变体 ID，保证 BWP 侧唯一
+  return variant.sku || String(variant.id);
+}
+
+// 转换条码，非 GTIN 系列的条码原样保留为 OTHER
+export function toBarcode(barcode) {
+  if (!barcode) {
+    return null;
+  }
+  const value = String(barcode).trim();
+  const type = /^\d+$/.test(value) ? BARCODE_TYPES[value.length] : undefined;
+  return { type: type || 'OTHER', value };
+}
+
+function toWeight(variant) {
+  const value = toAmount(variant.weight);
+  if (!value) {
+    return null;
+  }
+  return { value, unit: (variant.weight_unit || 'kg').toLowerCase() };
+}
+
+function toDimensions(variant) {
+  const length = toAmount(variant.length);
+  const width = toAmount(variant.width);
+  const height = toAmount(variant.height);
+  if (!length && !width && !height) {
+    return null;
+  }
+  return { length, width, height, unit: (variant.dimension_unit || 'cm').toLowerCase() };
+}
+
+// 变体图片优先，其余按 position 排序
+function toImageUrls(product, variant) {
+  const images = [...(product.images || [])].sort((a, b) => (a.position || 0) - (b.position || 0));
+  const variantImage = images.find((image) => image.id === variant.image_id);
+  const urls = [variantImage, ...images].filter(Boolean).map((image) => image.src);
+  return [...new Set(urls)];
+}
+
+// option1 ~ option3 对应 product.options 的顺序
+function toOptionValues(product, variant) {
+  return (product.options || [])
+    .map((option, index) => ({
+      name: option.name,
+      value: variant[`option${option.position || index + 1}`],
+    }))
+    .filter((option) => option.value !== undefined && option.value !== null);
+}
+
+// 将 Shopline 变体转换为 BWP SKU 记录
+export function toBWPSku(product, variant, { currency = DEFAULT_CURRENCY, config = {} } = {}) {
+  const multiplier = config.priceMultiplier || 1;
+  return {
+    sku: resolveSku(variant, config.skuSource),
+    externalId: String(variant.id),
+    title: variant.title && variant.title !== 'Default Title'
+      ? `${product.title} - ${variant.title}`
+      : product.title,
+    price: toMoney(variant.price, currency, multiplier),
+    compareAtPrice: toMoney(variant.compare_at_price, currency, multiplier),
+    barcode: toBarcode(variant.barcode),
+    weight: toWeight(variant),
+    dimensions: toDimensions(variant),
+    imageUrls: toImageUrls(product, variant),
+    options: toOptionValues(product, variant),
+  };
+}
+
+// 将 Shopline 产品转换为 BWP 产品及其 SKU 记录
+export function convertToBWPFormat(shoplineProduct, options = {}) {
+  const variants = shoplineProduct.variants || [];
+  const description = shoplineProduct.body_html ?? shoplineProduct.description ?? '';
+  return {
+    externalId: String(shoplineProduct.id),
+    title: shoplineProduct.title,
+    description: options.config?.stripHtml ? stripHtml(description) : description,
+    status: STATUS_MAP[shoplineProduct.status] || 'ACTIVE',
+    skus: variants.map((variant) => toBWPSku(shoplineProduct, variant, options)),
+  };
+}
+
+// BWP 状态到 Shopline 状态，下架的产品在 Shopline 中保留为草稿
+const SHOPLINE_STATUS_MAP = {
+  ACTIVE: 'active',
+  INACTIVE: 'draft',
+};
+
+// 以 BWP 为准的字段保留 BWP 产品当前的值，不被 Shopline 覆盖
+export function applyFieldOwnership(bwpData, bwpProduct, config = {}) {
+  if (!bwpProduct) {
+    return bwpData;
+  }
+  const owned = OWNED_FIELDS.filter((field) => getFieldOwner(config, field) === 'bwp' && bwpProduct[field] !== undefined);
+  return owned.reduce((data, field) => ({ ...data, [field]: bwpProduct[field] }), bwpData);
+}
+
+// 将 BWP 产品中以 BWP 为准的字段转换为 Shopline 产品更新内容，没有需要写回的字段时返回 null
+export function toShoplineChanges(bwpProduct, config = {}) {
+  const changes = {};
+  if (getFieldOwner(config, 'title') === 'bwp' && bwpProduct.title !== undefined) {
+    changes.title = bwpProduct.title;
+  }
+  if (getFieldOwner(config, 'description') === 'bwp' && bwpProduct.description !== undefined) {
+    changes.body_html = bwpProduct.description;
+  }
+  if (getFieldOwner(config, 'status') === 'bwp' && SHOPLINE_STATUS_MAP[bwpProduct.status]) {
+    changes.status = SHOPLINE_STATUS_MAP[bwpProduct.status];
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// 只保留参与比较的字段，SKU 按 sku 排序
+export function toComparable(bwpProduct) {
+  return {
+    externalId: bwpProduct.externalId,
+    title: bwpProduct.title,
+    description: bwpProduct.description ?? '',
+    status: bwpProduct.status,
+    skus: [...(bwpProduct.skus || [])]
+      .map((sku) => ({
+        sku: sku.sku,
+        externalId: sku.externalId,
+        title: sku.title,
+        price: sku.price ?? null,
+        compareAtPrice: sku.compareAtPrice ?? null,
+        barcode: sku.barcode ?? null,
+        weight: sku.weight ?? null,
+        dimensions: sku.dimensions ?? null,
+        imageUrls: sku.imageUrls || [],
+        options: sku.options || [],
+      }))
+      .sort((a, b) => String(a.sku).localeCompare(String(b.sku))),
+  };
+}
+
+// 比较待写入的 BWP 产品数据和 BWP 当前的产品，有差异时返回 true
+export function hasDifferences(bwpData, bwpProduct) {
+  return !isDeepStrictEqual(toComparable(bwpData), toComparable(bwpProduct));
+}
@@ -0,0 +1,70 @@
+// src/utils/session.mjs
+import crypto from 'crypto';
+
+// 会话 token 的有效期
+export const SESSION_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// 签发方，验证时只接受本应用签发的 token
+const SESSION_ISSUER = 'shopline-bwp-sync';
+
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function signJwt(encodedHeader, encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+}
+
+// 为已安装的商店签发会话 token（HS256 JWT），sub 为商店 handle
+export function issueSessionToken(handle, secret, { ttlSeconds = SESSION_TOKEN_TTL_SECONDS, now = Date.now() } = {}) {
+  const iat = Math.floor(now / 1000);
+  const payload = { iss: SESSION_ISSUER, sub: handle, iat, exp: iat + ttlSeconds };
+  const encodedHeader = base64url(JSON.stringify(JWT_HEADER));
+  const encodedPayload = base64url(JSON.stringify(payload));
+  return {
+    token: `${encodedHeader}.${encodedPayload}.${signJwt(encodedHeader, encodedPayload, secret)}`,
+    expiresAt: payload.exp * 1000,
+  };
+}
+
+// 验证会话 token，签名、签发方或有效期不正确时返回 null
+export function verifySessionToken(token, secret, { now = Date.now() } = {}) {
+  const [encodedHeader, encodedPayload, signature, ...rest] = String(token || '').split('.');
+  if (!encodedHeader || !encodedPayload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(signJwt(encodedHeader, encodedPayload, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (header.alg !== JWT_HEADER.alg || payload.iss !== SESSION_ISSUER || !payload.sub) {
+    return null;
+  }
+  if (typeof payload.exp !== 'number' || payload.exp * 1000 <= now) {
+    return null;
+  }
+  return payload;
+}
+
+// 请求所属的商店：authorizer 验证过的商店 handle。
+// 查询参数中的 handle 可省略，指定时必须与会话的商店一致，否则返回 null
+export function getAuthorizedHandle(event) {
+  const authorized = event.requestContext?.authorizer?.handle;
+  const requested = event.queryStringParameters?.handle;
+  if (!authorized || (requested && requested !== authorized)) {
+    return null;
+  }
+  return authorized;
+}
@@ -0,0 +1,232 @@
+// src/utils/shopline-client.mjs
+import crypto from 'crypto';
+import { HttpError, fetchTransport, getRateLimiter, send, withQuery, withMetrics, withRateLimit } from './http.mjs';
+
+export const SHOPLINE_API_VERSION = 'v20230901';
+
+// 每个商店的请求限额：突发 40 次，每秒恢复 2 次
+export const SHOPLINE_RATE_LIMIT = { capacity: 40, refillPerSecond: 2 };
+
+// 生成签名：参数按字母顺序排序后用 HMAC-SHA256 签名
+export function generateSign(params, secret) {
+  const signString = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join('&');
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(signString)
+    .digest('hex');
+}
+
+// 验证签名
+export function verifySign(params, secret) {
+  const { sign, ...rest } = params;
+  if (!sign) {
+    return false;
+  }
+  const expected = Buffer.from(generateSign(rest, secret));
+  const received = Buffer.from(sign);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// POST 请求签名：请求体 + 时间戳
+export function generateBodySign(body, timestamp, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${body}${timestamp}`)
+    .digest('hex');
+}
+
+// 从 Link 响应头解析下一页的 page_info
+export function parseNextPageInfo(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) {
+      return new URL(match[1]).searchParams.get('page_info');
+    }
+  }
+  return null;
+}
+
+// 统一 token 响应格式
+function toToken(tokenData) {
+  const data = tokenData.data || tokenData;
+  const expiresAt = data.expireTime
+    ? new Date(data.expireTime).getTime()
+    : Date.now() + data.expires_in * 1000;
+
+  return {
+    accessToken: data.accessToken || data.access_token,
+    refreshToken: data.refreshToken || data.refresh_token,
+    expiresAt,
+  };
+}
+
+export class ShoplineClient {
+  constructor({ handle, accessToken, appKey, appSecret, onUnauthorized, transport = fetchTransport, rateLimit = SHOPLINE_RATE_LIMIT, retry, baseUrl, apiVersion = SHOPLINE_API_VERSION }) {
+    if (!handle) {
+      throw new Error('Shopline handle is required');
+    }
+    this.handle = handle;
+    this.accessToken = accessToken;
+    this.appKey = appKey;
+    this.appSecret = appSecret;
+    // 返回新的 access token，用于 401 时刷新后重试
+    this.onUnauthorized = onUnauthorized;
+    // 同一商店的请求共享限额，429 / 5xx 时退避重试，每次请求记录耗时指标
+    this.transport = withRateLimit(withMetrics(transport, 'shopline'), { ...retry, limiter: getRateLimiter(`shopline:${handle}`, rateLimit) });
+    this.baseUrl = baseUrl || `https://${handle}.myshopline.com`;
+    this.apiVersion = apiVersion;
+  }
+
+  // 调用 OpenAPI，返回响应体
+  async request(method, path, options) {
+    const response = await this.requestResponse(method, path, options);
+    return response.data;
+  }
+
+  // 调用 OpenAPI，返回包含响应头的完整响应
+  async requestResponse(method, path, { query, body } = {}) {
+    try {
+      return await this.requestOnce(method, path, { query, body });
+    } catch (error) {
+      if (!(error instanceof HttpError) || error.status !== 401 || !this.onUnauthorized) {
+        throw error;
+      }
+      this.accessToken = await this.onUnauthorized();
+      return this.requestOnce(method, path, { query, body });
+    }
+  }
+
+  async requestOnce(method, path, { query, body }) {
+    const response = await send(this.transport, {
+      method,
+      url: withQuery(`${this.baseUrl}/admin/openapi/${this.apiVersion}${path}`, query),
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return response;
+  }
+
+  // 获取产品详情
+  async getProduct(productId) {
+    const data = await this.request('GET', `/products/${productId}`);
+    return data.data;
+  }
+
+  // 获取产品列表（单页）
+  async listProducts(query) {
+    const data = await this.request('GET', '/products', { query });
+    return data.data;
+  }
+
+  // 获取一页产品，nextPageInfo 为 null 表示最后一页
+  async listProductsPage({ pageInfo, limit = 100, ...query } = {}) {
+    // 使用 page_info 翻页时不能再携带其他筛选条件
+    const response = await this.requestResponse('GET', '/products', {
+      query: pageInfo ? { page_info: pageInfo, limit } : { ...query, limit },
+    });
+    return {
+      items: response.data.data || [],
+      nextPageInfo: parseNextPageInfo(response.headers?.link),
+    };
+  }
+
+  // 按页遍历所有产品
+  async *iterateProductPages(query = {}) {
+    let pageInfo = query.pageInfo;
+    do {
+      const page = await this.listProductsPage({ ...query, pageInfo });
+      yield { ...page, pageInfo };
+      pageInfo = page.nextPageInfo;
+    } while (pageInfo);
+  }
+
+  // 创建产品
+  async createProduct(productData) {
+    const data = await this.request('POST', '/products', { body: productData });
+    return data.data;
+  }
+
+  // 更新产品
+  async updateProduct(productId, productData) {
+    const data = await this.request('PUT', `/products/${productId}`, { body: productData });
+    return data.data;
+  }
+
+  // 删除产品
+  async deleteProduct(productId) {
+    await this.request('DELETE', `/products/${productId}`);
+  }
+
+  // 获取变体的 metafields
+  async getVariantMetafields(productId, variantId) {
+    const data = await this.request('GET', `/products/${productId}/variants/${variantId}/metafields`);
+    return data.data;
+  }
+
+  // 获取产品所属的集合关联
+  async listProductCollects(productId) {
+    const data = await this.request('GET', '/collects', { query: { product_id: productId } });
+    return data.data;
+  }
+
+  // 获取库存项在各地点的库存，inventoryItemIds 单次最多 50 个
+  async listInventoryLevels({ inventoryItemIds, locationIds } = {}) {
+    const data = await this.request('GET', '/inventory_levels', {
+      query: {
+        inventory_item_ids: inventoryItemIds?.join(','),
+        location_ids: locationIds?.length ? locationIds.join(',') : undefined,
+      },
+    });
+    return data.data;
+  }
+
+  // 调整库存项在某个地点的可用库存，返回调整后的库存
+  async adjustInventoryLevel({ inventoryItemId, locationId, adjustment }) {
+    const data = await this.request('POST', '/inventory_levels/adjust', {
+      body: {
+        inventory_item_id: inventoryItemId,
+        location_id: locationId,
+        available_adjustment: adjustment,
+      },
+    });
+    return data.data;
+  }
+
+  // 调用 OAuth 接口，使用 appkey 签名
+  async oauthRequest(path, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Date.now().toString();
+    const response = await send(this.transport, {
+      method: 'POST',
+      url: `${this.baseUrl}/admin/oauth${path}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'appkey': this.appKey,
+        'timestamp': timestamp,
+        'sign': generateBodySign(body, timestamp, this.appSecret),
+      },
+      body,
+    });
+    return toToken(response.data);
+  }
+
+  // 使用授权码换取 access token
+  async createToken(code) {
+    return this.oauthRequest('/token/create', { code });
+  }
+
+  // 刷新 access token
+  async refreshToken(refreshToken) {
+    return this.oauthRequest('/token/refresh', { refresh_token: refreshToken });
+  }
+}
@@ -0,0 +1,81 @@
+// src/utils/store.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, ScanCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 查找商店信息，不存在时返回 null
+export async function findStoreInfo(handle) {
+  const storeData = await docClient.send(new GetCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: handle, platform: 'shopline' }
+  }));
+
+  return storeData.Item || null;
+}
+
+// 获取商店信息
+export async function getStoreInfo(handle) {
+  const storeInfo = await findStoreInfo(handle);
+
+  if (!storeInfo) {
+    throw new Error("Store information not found");
+  }
+
+  return storeInfo;
+}
+
+// 按页遍历所有 Shopline 商店
+export async function* iterateStores() {
+  let exclusiveStartKey;
+  do {
+    const result = await docClient.send(new ScanCommand({
+      TableName: process.env.INSTALLATION_TABLE,
+      FilterExpression: "platform = :platform",
+      ExpressionAttributeValues: {
+        ":platform": "shopline"
+      },
+      ExclusiveStartKey: exclusiveStartKey,
+    }));
+    yield* result.Items || [];
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+}
+
+// 按 BWP 安装 ID 查找关联的 Shopline 商店 handle，未关联时返回 null
+export async function findHandleByBwpInstallation(installationId) {
+  const tokenData = await docClient.send(new GetCommand({
+    TableName: process.env.BWP_TOKEN_STORE_TABLE,
+    Key: { installation_id: installationId }
+  }));
+
+  return tokenData.Item?.handle || null;
+}
+
+// BWP 安装时更新商店信息的辅助函数
+export async function updateStoreBWPInfo(shoplineHandle, bwpInstallationId) {
+  await docClient.send(new UpdateCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: shoplineHandle, platform: 'shopline' },
+    UpdateExpression: "set bwpInstallationId = :bwpId",
+    // 已关联其他 BWP 安装的商店不能被重新关联
+    ConditionExpression: "attribute_exists(id) AND (attribute_not_exists(bwpInstallationId) OR bwpInstallationId = :bwpId)",
+    ExpressionAttributeValues: {
+      ":bwpId": bwpInstallationId
+    }
+  }));
+}
+
+// 记录商店最近一次差异报告的摘要，flagged 表示差异超过商店配置的阈值
+export async function updateStoreDrift(handle, { summary, generatedAt, flagged }) {
+  await docClient.send(new UpdateCommand({
+    TableName: process.env.INSTALLATION_TABLE,
+    Key: { id: handle, platform: 'shopline' },
+    UpdateExpression: "set drift = :drift",
+    ConditionExpression: "attribute_exists(id)",
+    ExpressionAttributeValues: {
+      ":drift": { ...summary, generatedAt, flagged }
+    }
+  }));
+}
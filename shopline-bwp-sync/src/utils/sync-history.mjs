@@ -0,0 +1,179 @@
+// src/utils/sync-history.mjs
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { generateId } from './common.mjs';
+import { withLogContext } from './logger.mjs';
+import { putMetrics } from './metrics.mjs';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// 同步记录和产品审计记录的保留时间
+const HISTORY_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// 每次同步最多保留的错误数量（跨多次调用累计），超出的只计入 errorCount
+export const MAX_RUN_ERRORS = 50;
+
+// 同步的触发方式
+export const SYNC_TRIGGERS = ['webhook', 'scheduled', 'manual'];
+
+// 同步结果中按 action 计数的字段
+const RUN_COUNTERS = ['created', 'updated', 'deleted', 'skipped', 'failed'];
+
+// 排序键：同一商店下按时间排序，ISO 时间字符串按字典序即时间顺序
+const runKey = (startedAt, runId) => `run#${new Date(startedAt).toISOString()}#${runId}`;
+const auditKey = (productId, at) => `product#${productId}#${new Date(at).toISOString()}#${generateId()}`;
+
+const ttl = (now) => Math.floor(now / 1000) + HISTORY_TTL_SECONDS;
+
+// 分页游标与 DynamoDB 的 LastEvaluatedKey 互相转换
+const encodeNextToken = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+const decodeNextToken = (token) => (token ? JSON.parse(Buffer.from(token, 'base64url').toString()) : undefined);
+
+// 开始一次同步并记录，返回的 run 在同步过程中传递（跨 Lambda 调用时保存在断点中）
+export async function startSyncRun(handle, { trigger, mode = null, topic = null }) {
+  const startedAt = Date.now();
+  const run = { handle, id: generateId(), key: null, trigger, startedAt };
+  run.key = runKey(startedAt, run.id);
+
+  await docClient.send(new PutCommand({
+    TableName: process.env.SYNC_HISTORY_TABLE,
+    Item: {
+      handle,
+      recordKey: run.key,
+      runId: run.id,
+      trigger,
+      mode,
+      topic,
+      status: 'running',
+      startedAt,
+      endedAt: null,
+      ...Object.fromEntries(RUN_COUNTERS.map((counter) => [counter, 0])),
+      errors: [],
+      errorCount: 0,
+      ttl: ttl(startedAt),
+    },
+  }));
+  return run;
+}
+
+// 本次调用内的同步结果计数，调用结束时通过 saveSyncRun 累加到同步记录
+export function createRunTally() {
+  return { ...Object.fromEntries(RUN_COUNTERS.map((counter) => [counter, 0])), errors: [] };
+}
+
+// 按产品同步结果的 action 计数
+export function tallyResult(tally, result) {
+  if (RUN_COUNTERS.includes(result?.action)) {
+    tally[result.action] += 1;
+  }
+}
+
+// 记录失败的产品
+export function tallyError(tally, productId, error) {
+  tally.failed += 1;
+  tally.errors.push({ productId: productId ? String(productId) : null, message: error.message, status: error.status ?? null });
+}
+
+// 将本次调用的计数累加到同步记录；status 为 completed / failed 时记录结束时间。
+// errorCount 为错误总数，errors 只保留最先发生的 MAX_RUN_ERRORS 条。计数同时输出为指标（按触发方式区分）
+export async function saveSyncRun(run, tally, { status }) {
+  const now = Date.now();
+  const finished = status !== 'running';
+  const key = { handle: run.handle, recordKey: run.key };
+  const result = await docClient.send(new UpdateCommand({
+    TableName: process.env.SYNC_HISTORY_TABLE,
+    Key: key,
+    UpdateExpression: `SET #status = :status${finished ? ', endedAt = :now' : ''} `
+      + `ADD ${RUN_COUNTERS.map((counter) => `${counter} :${counter}`).join(', ')}, errorCount :errorCount`,
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: {
+      ":status": status,
+      ":errorCount": tally.errors.length,
+      ...Object.fromEntries(RUN_COUNTERS.map((counter) => [`:${counter}`, tally[counter]])),
+      ...(finished ? { ":now": now } : {}),
+    },
+    ReturnValues: 'UPDATED_NEW',
+  }));
+
+  // 之前的调用已保存的错误数：累加后的总数减去本次的错误数
+  const saved = (result.Attributes?.errorCount ?? tally.errors.length) - tally.errors.length;
+  const room = MAX_RUN_ERRORS - saved;
+  if (tally.errors.length > 0 && room > 0) {
+    await docClient.send(new UpdateCommand({
+      TableName: process.env.SYNC_HISTORY_TABLE,
+      Key: key,
+      UpdateExpression: "SET errors = list_append(if_not_exists(errors, :empty), :errors)",
+      ExpressionAttributeValues: { ":empty": [], ":errors": tally.errors.slice(0, room) },
+    }));
+  }
+
+  putMetrics({
+    ProductsCreated: tally.created,
+    ProductsUpdated: tally.updated,
+    ProductsDeleted: tally.deleted,
+    ProductsSkipped: tally.skipped,
+    ProductSyncFailures: tally.failed,
+    ...(finished ? { SyncRunsSucceeded: status === 'completed' ? 1 : 0, SyncRunsFailed: status === 'failed' ? 1 : 0 } : {}),
+  }, { dimensions: { Trigger: run.trigger } });
+}
+
+// 在一次同步记录中执行 fn(run)，fn 返回的产品同步结果计入记录；失败时记录错误后继续抛出。
+// fn 中的日志附带 runId
+export async function withSyncRun(handle, { trigger, mode, topic, productId }, fn) {
+  const run = await startSyncRun(handle, { trigger, mode, topic });
+  const tally = createRunTally();
+  try {
+    const result = await withLogContext({ handle, runId: run.id }, () => fn(run));
+    tallyResult(tally, result);
+    await saveSyncRun(run, tally, { status: 'completed' });
+    return result;
+  } catch (error) {
+    tallyError(tally, productId, error);
+    await saveSyncRun(run, tally, { status: 'failed' });
+    throw error;
+  }
+}
+
+// 记录写入 BWP 的产品变更，changes 为变化的字段及前后的值
+export async function recordProductAudit(handle, productId, { run, action, bwpProductId, changes }) {
+  const at = Date.now();
+  await docClient.send(new PutCommand({
+    TableName: process.env.SYNC_HISTORY_TABLE,
+    Item: {
+      handle,
+      recordKey: auditKey(productId, at),
+      productId: String(productId),
+      bwpProductId: bwpProductId ? String(bwpProductId) : null,
+      runId: run?.id ?? null,
+      trigger: run?.trigger ?? null,
+      action,
+      changes,
+      at,
+      ttl: ttl(at),
+    },
+  }));
+}
+
+// 按时间倒序查询商店的记录
+async function queryHistory(handle, prefix, { limit = 20, nextToken } = {}) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: process.env.SYNC_HISTORY_TABLE,
+    KeyConditionExpression: "handle = :handle AND begins_with(recordKey, :prefix)",
+    ExpressionAttributeValues: { ":handle": handle, ":prefix": prefix },
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: decodeNextToken(nextToken),
+  }));
+  return { items: result.Items || [], nextToken: encodeNextToken(result.LastEvaluatedKey) };
+}
+
+// 列出商店的同步记录，最近的在前
+export async function listSyncRuns(handle, options) {
+  return queryHistory(handle, 'run#', options);
+}
+
+// 列出产品写入 BWP 的审计记录，最近的在前
+export async function listProductHistory(handle, productId, options) {
+  return queryHistory(handle, `product#${productId}#`, options);
+}
@@ -0,0 +1,438 @@
+// src/utils/sync.mjs
+import {
+  DEFAULT_CURRENCY,
+  applyFieldOwnership,
+  convertToBWPFormat,
+  hasDifferences,
+  isExcluded,
+  toComparable,
+  toShoplineChanges,
+} from './product-mapping.mjs';
+import { OWNED_FIELDS, getMappingConfig } from './mapping-config.mjs';
+import { applyPaths, deleteConflict, diffProducts, mergeThreeWay, saveConflict } from './conflicts.mjs';
+import { recordProductAudit, tallyError, tallyResult } from './sync-history.mjs';
+import { HttpError } from './http.mjs';
+import { logger } from './logger.mjs';
+import { consumeEcho, hashContent } from './idempotency.mjs';
+import {
+  checkProductSync,
+  completeProductSync,
+  deleteProductMapping,
+  failProductSync,
+  getProductMapping,
+  reserveProductSync,
+  saveBwpIds,
+  SYNC_STATUS,
+} from './id-mapping.mjs';
+
+// 商店级别的转换参数，包含商店的映射配置
+export async function getMappingOptions(store) {
+  return {
+    currency: store.currency || DEFAULT_CURRENCY,
+    config: await getMappingConfig(store.id),
+  };
+}
+
+// 按映射配置补充产品默认不返回的数据（变体 metafields、所属集合）
+export async function hydrateProduct(shoplineClient, shoplineProduct, { config } = {}) {
+  if (!shoplineClient || !config) {
+    return shoplineProduct;
+  }
+
+  const product = { ...shoplineProduct };
+
+  if (config.skuSource?.type === 'metafield') {
+    product.variants = await Promise.all((product.variants || []).map(async (variant) => ({
+      ...variant,
+      metafields: variant.metafields || await shoplineClient.getVariantMetafields(product.id, variant.id),
+    })));
+  }
+
+  if (config.excludeCollections?.length && !product.collection_ids) {
+    const collects = await shoplineClient.listProductCollects(product.id);
+    product.collection_ids = (collects || []).map((collect) => collect.collection_id);
+  }
+
+  return product;
+}
+
+// 获取 BWP 产品，不存在时返回 null
+export async function findBWPProduct(bwpClient, bwpProductId) {
+  try {
+    return await bwpClient.getProduct(bwpProductId);
+  } catch (error) {
+    if (error instanceof HttpError && error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// 拉取全部 BWP 产品，以 externalId（Shopline 产品 ID）索引；没有 externalId 的产品不是由 Shopline 同步的，不参与匹配
+export async function loadBWPProducts(bwpClient) {
+  const products = await bwpClient.listAllProducts();
+  return new Map(products
+    .filter((product) => product.externalId)
+    .map((product) => [String(product.externalId), product]));
+}
+
+// 按记录的 BWP 产品 id 获取 Shopline 产品对应的 BWP 产品，未创建或已不存在时返回 null
+export async function findMappedBWPProduct({ handle, bwpClient, productId }) {
+  const mapping = await getProductMapping(handle, productId);
+  if (!mapping?.bwpId) {
+    return null;
+  }
+  return findBWPProduct(bwpClient, mapping.bwpId);
+}
+
+// 获取 Shopline 产品，已删除时返回 null
+export async function findShoplineProduct(shoplineClient, productId) {
+  try {
+    return await shoplineClient.getProduct(productId);
+  } catch (error) {
+    if (error instanceof HttpError && error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// 从 BWP 删除产品并清除同步状态，未创建过或 BWP 中已不存在时跳过。
+// 未指定 bwpProductId 时使用记录的 BWP 产品 id。删除记录到产品审计中，run 为所属的同步
+export async function removeProductFromBWP({ handle, bwpClient, productId, bwpProductId, run }) {
+  const bwpId = bwpProductId || (await getProductMapping(handle, productId))?.bwpId;
+  if (!bwpId) {
+    return { action: 'skipped', productId, reason: 'not_mapped' };
+  }
+
+  try {
+    await bwpClient.deleteProduct(bwpId);
+  } catch (error) {
+    if (!(error instanceof HttpError && error.status === 404)) {
+      throw error;
+    }
+    await deleteProductMapping(handle, productId);
+    return { action: 'skipped', productId, reason: 'not_found' };
+  }
+
+  await deleteProductMapping(handle, productId);
+  await recordProductAudit(handle, productId, { run, action: 'deleted', bwpProductId: bwpId, changes: [] });
+  return { action: 'deleted', productId, bwpProductId: bwpId };
+}
+
+// 写入 BWP：已有 BWP 产品 id 时更新（BWP 中已被删除则重新创建），否则创建并记录 BWP 分配的 id
+async function writeBWPProduct({ handle, bwpClient, productId, bwpProductId, bwpData }) {
+  if (bwpProductId) {
+    try {
+      const updated = await bwpClient.updateProduct(bwpProductId, bwpData);
+      // 更新响应带 SKU 时刷新变体映射（新增的变体会分配新的 SKU id）
+      if (updated?.skus) {
+        await saveBwpIds(handle, productId, { ...updated, id: bwpProductId });
+      }
+      return { action: 'updated', bwpProductId };
+    } catch (error) {
+      if (!(error instanceof HttpError && error.status === 404)) {
+        throw error;
+      }
+    }
+  }
+
+  const created = await bwpClient.createProduct(bwpData);
+  if (!created?.id) {
+    throw new Error(`BWP did not return an id for product ${productId}`);
+  }
+  await saveBwpIds(handle, productId, created);
+  return { action: 'created', bwpProductId: created.id };
+}
+
+// 显式重试 BWP 写入前的等待时间，按重试次数加倍
+const BWP_WRITE_RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 写入 BWP 产品，失败时最多重试 retries 次。失败的 POST 可能已在 BWP 创建了产品，
+// 重试前按 externalId 查找，找到时记录其 id 并改为更新，避免重复创建
+async function writeBWPProductWithRetry({ handle, bwpClient, productId, bwpProductId, bwpData, retries }) {
+  let targetId = bwpProductId;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await writeBWPProduct({ handle, bwpClient, productId, bwpProductId: targetId, bwpData });
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      logger.warn('Retrying BWP product write', { handle, productId: String(productId), attempt: attempt + 1, error });
+      await sleep(BWP_WRITE_RETRY_DELAY_MS * 2 ** attempt);
+
+      const existing = await bwpClient.findProductByExternalId(productId);
+      if (existing?.id && String(existing.id) !== String(targetId)) {
+        await saveBwpIds(handle, productId, existing);
+        targetId = existing.id;
+      }
+    }
+  }
+}
+
+// Shopline 产品的版本时间（毫秒）
+export function getSourceUpdatedAt(shoplineProduct) {
+  const updatedAt = Date.parse(shoplineProduct.updated_at || shoplineProduct.updatedAt);
+  return Number.isNaN(updatedAt) ? 0 : updatedAt;
+}
+
+// 产品的同步状态：从未同步时为 unsynced；未完成同步、有冲突或 Shopline 有更新的版本时为不同步
+export function getSyncState(shoplineProduct, mapping) {
+  if (!mapping) {
+    return { status: 'unsynced', outOfSync: true };
+  }
+  const sourceUpdatedAt = getSourceUpdatedAt(shoplineProduct);
+  return {
+    status: mapping.status,
+    bwpProductId: mapping.bwpId || null,
+    syncedAt: mapping.syncedAt || null,
+    lastError: mapping.lastError || null,
+    outOfSync: mapping.status !== SYNC_STATUS.SYNCED
+      || Boolean(sourceUpdatedAt && sourceUpdatedAt > (mapping.sourceUpdatedAt || 0)),
+  };
+}
+
+// 生成写入 BWP 的产品数据：补充映射需要的数据，以 BWP 为准的字段保留 BWP 当前的值
+export async function prepareBWPData({ shoplineClient, shoplineProduct: product, bwpProduct, mappingOptions }) {
+  const shoplineProduct = await hydrateProduct(shoplineClient, product, mappingOptions);
+  const bwpData = applyFieldOwnership(
+    convertToBWPFormat(shoplineProduct, mappingOptions),
+    bwpProduct,
+    mappingOptions?.config
+  );
+  return { shoplineProduct, bwpData };
+}
+
+// 将 Shopline 产品同步到 BWP，内容未变化、无差异、版本更旧或是 BWP 写回产生的回声时跳过写入。
+// BWP 中已有产品时与上次同步的快照做三方合并，保留 BWP 侧的修改，冲突按商店的策略处理。
+// 写入的变更记录到产品审计中，run 为所属的同步。
+// force 时不按内容 hash 和回声跳过，重新与 BWP 比较；dryRun 时只返回将写入的变更，不写入 BWP 也不更新同步状态。
+// writeRetries 为 BWP 写入失败时的显式重试次数（HTTP 层不会在 5xx 时重试创建产品的 POST）
+export async function pushProductToBWP({ handle, shoplineClient, bwpClient, shoplineProduct: product, bwpProduct: knownBwpProduct, mappingOptions, run, force = false, dryRun = false, writeRetries = 0 }) {
+  const productId = product.id;
+  const mapping = await getProductMapping(handle, productId);
+
+  // 调用方没有提供 BWP 产品时按记录的 BWP id 获取，用于三方合并
+  const bwpProduct = knownBwpProduct
+    ?? (mapping?.bwpId ? await findBWPProduct(bwpClient, mapping.bwpId) : null);
+
+  const { shoplineProduct, bwpData } = await prepareBWPData({
+    shoplineClient,
+    shoplineProduct: product,
+    bwpProduct,
+    mappingOptions,
+  });
+
+  if (isExcluded(shoplineProduct, mappingOptions?.config)) {
+    return { action: 'skipped', productId, reason: 'excluded' };
+  }
+
+  const version = {
+    contentHash: hashContent(bwpData),
+    sourceUpdatedAt: getSourceUpdatedAt(shoplineProduct),
+  };
+
+  const { shouldSync, reason } = checkProductSync(mapping, version);
+  if (!shouldSync && !force) {
+    return { action: 'skipped', productId, reason };
+  }
+
+  // 试运行不消费回声记录
+  if (!force && !dryRun && await consumeEcho(handle, 'product', productId, version.contentHash)) {
+    return { action: 'skipped', productId, reason: 'echo' };
+  }
+
+  const bwpProductId = bwpProduct?.id || mapping?.bwpId;
+
+  // 未发布（草稿 / 归档）的产品不在 BWP 新建；已存在的产品按 INACTIVE 更新下架
+  if (!bwpProductId && bwpData.status === 'INACTIVE') {
+    return { action: 'skipped', productId, reason: 'unpublished' };
+  }
+
+  // 全量同步按 externalId 匹配到的 BWP 产品可能还没有记录 id，顺带补上
+  if (!dryRun && bwpProduct?.id && String(bwpProduct.id) !== mapping?.bwpId) {
+    await saveBwpIds(handle, productId, bwpProduct);
+  }
+
+  const policy = mappingOptions?.config?.conflictPolicy;
+  const { data, conflicts } = bwpProduct
+    ? mergeThreeWay({
+      shopline: bwpData,
+      bwp: bwpProduct,
+      shoplineBase: mapping?.shoplineSnapshot,
+      bwpBase: mapping?.bwpSnapshot,
+      policy,
+    })
+    : { data: bwpData, conflicts: [] };
+
+  const pendingConflict = conflicts.length > 0 && policy === 'manual';
+  const conflictPaths = conflicts.length > 0 ? { conflicts: conflicts.map((conflict) => conflict.path) } : {};
+
+  if (dryRun) {
+    const changes = diffProducts(bwpProduct, data);
+    if (changes.length === 0) {
+      return { action: 'skipped', productId, reason: pendingConflict ? 'conflict' : 'in_sync', dryRun, ...conflictPaths };
+    }
+    return {
+      action: bwpProduct ? 'would_update' : 'would_create',
+      productId,
+      bwpProductId: bwpProduct?.id ?? null,
+      dryRun,
+      changes,
+      ...conflictPaths,
+    };
+  }
+
+  if (pendingConflict) {
+    await saveConflict(handle, productId, { bwpProductId, fields: conflicts });
+  } else if (conflicts.length > 0) {
+    logger.info('Resolved conflicting fields', { handle, productId, policy, fields: conflicts.map((conflict) => conflict.path) });
+  }
+
+  const completion = {
+    ...version,
+    shoplineSnapshot: toComparable(bwpData),
+    bwpSnapshot: toComparable(data),
+    status: pendingConflict ? SYNC_STATUS.CONFLICT : SYNC_STATUS.SYNCED,
+  };
+
+  if (bwpProduct && !hasDifferences(data, bwpProduct)) {
+    if (await reserveProductSync(handle, productId, version.sourceUpdatedAt)) {
+      await completeProductSync(handle, productId, completion);
+    }
+    return { action: 'skipped', productId, reason: pendingConflict ? 'conflict' : 'in_sync' };
+  }
+
+  if (!await reserveProductSync(handle, productId, version.sourceUpdatedAt)) {
+    return { action: 'skipped', productId, reason: 'stale' };
+  }
+
+  let written;
+  try {
+    written = await writeBWPProductWithRetry({ handle, bwpClient, productId, bwpProductId, bwpData: data, retries: writeRetries });
+  } catch (error) {
+    await failProductSync(handle, productId, error);
+    throw error;
+  }
+  await completeProductSync(handle, productId, completion);
+  await recordProductAudit(handle, productId, {
+    run,
+    action: written.action,
+    bwpProductId: written.bwpProductId,
+    changes: diffProducts(bwpProduct, data),
+  });
+
+  return {
+    action: written.action,
+    productId,
+    bwpProductId: written.bwpProductId,
+    ...conflictPaths,
+  };
+}
+
+// 逐个同步一页 Shopline 产品。bwpProducts 为按 externalId 索引的 BWP 产品（全量同步时一次拉取），
+// 未提供时逐个获取记录的 BWP 产品。各产品的结果计入 tally（可选）；单个产品失败时记录错误（action 为 failed）
+// 后继续处理下一个产品
+export async function pushProductPage({ handle, shoplineClient, bwpClient, products, bwpProducts, mappingOptions, run, tally, force, dryRun }) {
+  const results = [];
+  for (const shoplineProduct of products) {
+    const bwpProduct = bwpProducts
+      ? bwpProducts.get(String(shoplineProduct.id))
+      : await findMappedBWPProduct({ handle, bwpClient, productId: shoplineProduct.id });
+
+    let result;
+    try {
+      result = await pushProductToBWP({
+        handle,
+        shoplineClient,
+        bwpClient,
+        shoplineProduct,
+        bwpProduct,
+        mappingOptions,
+        run,
+        force,
+        dryRun,
+      });
+    } catch (error) {
+      logger.error('Failed to push product to BWP', { handle, productId: String(shoplineProduct.id), error });
+      if (tally) {
+        tallyError(tally, shoplineProduct.id, error);
+      }
+      results.push({ action: 'failed', productId: shoplineProduct.id, error: error.message });
+      continue;
+    }
+    if (tally) {
+      tallyResult(tally, result);
+    }
+    logger.info('Pushed product to BWP', { handle, productId: String(shoplineProduct.id), action: result.action, reason: result.reason });
+    results.push(result);
+  }
+  return results;
+}
+
+// 按人工选择解决冲突：shopline 时把冲突字段的 Shopline 值写入 BWP；
+// bwp 时保留 BWP 的值，其中 title / description / status 同时写回 Shopline
+export async function resolveProductConflict({ handle, shoplineClient, bwpClient, conflict, resolution, mappingOptions }) {
+  const { productId } = conflict;
+  const mapping = await getProductMapping(handle, productId);
+  const bwpProduct = mapping?.bwpId ? await findBWPProduct(bwpClient, mapping.bwpId) : null;
+  const shoplineProduct = await findShoplineProduct(shoplineClient, productId);
+  if (!bwpProduct || !shoplineProduct) {
+    await deleteConflict(handle, productId);
+    return { action: 'skipped', productId, reason: 'not_found' };
+  }
+
+  const { bwpData } = await prepareBWPData({ shoplineClient, shoplineProduct, bwpProduct, mappingOptions });
+  const paths = conflict.fields.map((field) => field.path);
+  const { data: merged } = mergeThreeWay({
+    shopline: bwpData,
+    bwp: bwpProduct,
+    shoplineBase: mapping.shoplineSnapshot,
+    bwpBase: mapping.bwpSnapshot,
+    policy: 'manual',
+  });
+  const data = applyPaths(merged, resolution === 'shopline' ? bwpData : bwpProduct, paths);
+
+  const version = { contentHash: hashContent(bwpData), sourceUpdatedAt: getSourceUpdatedAt(shoplineProduct) };
+  if (!await reserveProductSync(handle, productId, version.sourceUpdatedAt)) {
+    return { action: 'skipped', productId, reason: 'stale' };
+  }
+
+  const bwpUpdated = hasDifferences(data, bwpProduct);
+  // 写回后 Shopline 触发的 webhook 与 BWP 的值相同，三方合并时不会再写入 BWP
+  const changes = resolution === 'bwp'
+    ? toShoplineChanges(bwpProduct, {
+      fieldOwnership: Object.fromEntries(paths.filter((path) => OWNED_FIELDS.includes(path)).map((path) => [path, 'bwp'])),
+    })
+    : null;
+
+  // 写入失败时产品标记为 error，冲突记录保留，可以重新解决
+  try {
+    if (bwpUpdated) {
+      await bwpClient.updateProduct(mapping.bwpId, data);
+      await recordProductAudit(handle, productId, {
+        action: 'updated',
+        bwpProductId: mapping.bwpId,
+        changes: diffProducts(bwpProduct, data),
+      });
+    }
+    if (changes) {
+      await shoplineClient.updateProduct(productId, changes);
+    }
+  } catch (error) {
+    await failProductSync(handle, productId, error);
+    throw error;
+  }
+
+  await completeProductSync(handle, productId, {
+    ...version,
+    shoplineSnapshot: toComparable(bwpData),
+    bwpSnapshot: toComparable(data),
+  });
+  await deleteConflict(handle, productId);
+
+  return { action: 'resolved', productId, resolution, bwpUpdated, shoplineUpdated: Boolean(changes) };
+}
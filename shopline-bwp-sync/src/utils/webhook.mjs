@@ -0,0 +1,64 @@
+// src/utils/webhook.mjs
+import crypto from 'crypto';
+
+export const WEBHOOK_HEADERS = {
+  hmac: 'x-shopline-hmac-sha256',
+  topic: 'x-shopline-topic',
+  shopDomain: 'x-shopline-shop-domain',
+  webhookId: 'x-shopline-webhook-id',
+};
+
+// 请求体中的时间与当前时间相差超过该值的 webhook 视为重放，可通过 WEBHOOK_MAX_AGE_MINUTES 配置
+export const DEFAULT_WEBHOOK_MAX_AGE_MS = 60 * 60 * 1000;
+
+// API Gateway 传入的 header 大小写不固定，统一转为小写
+export function normalizeHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+// 获取原始请求体，签名必须基于未解析的原文计算
+export function getRawBody(event) {
+  if (!event.body) {
+    return '';
+  }
+  return event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+}
+
+// 校验 webhook 签名：HMAC-SHA256(appSecret, rawBody) 的 base64。
+// 签名不覆盖任何请求头（topic、shop domain、webhook id），重放由 isWithinReplayWindow 按请求体中的时间限制，
+// 窗口内的重复投递由 worker 按 webhook id 去重（utils/idempotency.mjs）
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!signature) {
+    return false;
+  }
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(rawBody, 'utf8').digest('base64')
+  );
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// 签名覆盖的请求体中的时间：资源的 updated_at（没有时用 created_at），都没有或无法解析时返回 null
+export function getWebhookTimestamp(payload) {
+  const time = Date.parse(payload?.updated_at ?? payload?.created_at);
+  return Number.isNaN(time) ? null : time;
+}
+
+// 请求体中的时间是否在重放窗口内。没有时间的请求体（如产品删除）无法判断，
+// 由处理时向 Shopline 确认产品状态（lambda/shopline/topics.mjs）
+export function isWithinReplayWindow(payload, maxAgeMs = DEFAULT_WEBHOOK_MAX_AGE_MS, now = Date.now()) {
+  const timestamp = getWebhookTimestamp(payload);
+  return timestamp === null || Math.abs(now - timestamp) <= maxAgeMs;
+}
+
+// 从 shop domain（如 my-shop.myshopline.com）解析商店 handle
+export function parseShopHandle(shopDomain) {
+  if (!shopDomain) {
+    return null;
+  }
+  return shopDomain.split('.')[0] || null;
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BwpClient } from '../src/utils/bwp-client.mjs';
+
+// 按顺序返回预设响应并记录请求的 transport
+function fakeTransport(responses) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    return responses.shift();
+  };
+  return { transport, requests };
+}
+
+test('request sends JSON with the access token to the versioned API', async () => {
+  const { transport, requests } = fakeTransport([{ status: 200, headers: {}, data: { id: 'bwp-1' } }]);
+  const client = new BwpClient({ installationId: 'request-install', accessToken: 'token', transport });
+
+  assert.deepEqual(await client.updateProduct('bwp-1', { title: 'Shirt' }), { id: 'bwp-1' });
+  assert.equal(requests[0].method, 'PUT');
+  assert.equal(requests[0].url, 'https://api.buywithprime.amazon.com/v1/products/bwp-1');
+  assert.equal(requests[0].headers.Authorization, 'Bearer token');
+  assert.equal(requests[0].body, '{"title":"Shirt"}');
+});
+
+test('listAllProducts follows nextToken until the last page', async () => {
+  const { transport, requests } = fakeTransport([
+    { status: 200, headers: {}, data: { products: [{ id: 'a' }], nextToken: 't2' } },
+    { status: 200, headers: {}, data: { products: [{ id: 'b' }] } },
+  ]);
+  const client = new BwpClient({ installationId: 'page-install', accessToken: 'token', transport });
+
+  assert.deepEqual(await client.listAllProducts(), [{ id: 'a' }, { id: 'b' }]);
+  assert.equal(new URL(requests[0].url).searchParams.get('nextToken'), null);
+  assert.equal(new URL(requests[1].url).searchParams.get('nextToken'), 't2');
+});
+
+test('findProductByExternalId returns the product with a matching externalId or null', async () => {
+  const { transport, requests } = fakeTransport([
+    { status: 200, headers: {}, data: { products: [{ id: 'a', externalId: '101' }] } },
+    { status: 200, headers: {}, data: { products: [] } },
+  ]);
+  const client = new BwpClient({ installationId: 'external-install', accessToken: 'token', transport });
+
+  assert.deepEqual(await client.findProductByExternalId(101), { id: 'a', externalId: '101' });
+  assert.equal(new URL(requests[0].url).searchParams.get('externalId'), '101');
+  assert.equal(await client.findProductByExternalId(102), null);
+});
+
+test('requestToken posts form-encoded client credentials', async () => {
+  const { transport, requests } = fakeTransport([{ status: 200, headers: {}, data: { access_token: 'a' } }]);
+  const client = new BwpClient({ clientId: 'id', clientSecret: 'secret', transport });
+
+  await client.refreshToken('refresh');
+  assert.equal(requests[0].url, 'https://api.buywithprime.amazon.com/token');
+  assert.deepEqual(Object.fromEntries(new URLSearchParams(requests[0].body)), {
+    grant_type: 'refresh_token',
+    refresh_token: 'refresh',
+    client_id: 'id',
+    client_secret: 'secret',
+  });
+});
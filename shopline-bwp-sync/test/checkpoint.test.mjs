@@ -0,0 +1,39 @@
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { acquireSyncLock, releaseSyncLock, syncJobId } from '../src/utils/checkpoint.mjs';
+
+const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+afterEach(() => mock.restoreAll());
+
+test('acquireSyncLock writes an expiring lock that another owner can only take once it has expired', async () => {
+  const send = mock.method(DynamoDBDocumentClient.prototype, 'send', async () => ({}));
+  const startedAt = Date.now();
+
+  assert.equal(await acquireSyncLock(syncJobId('full', 'shop'), 'owner-1', 60 * 1000), true);
+  const { input } = send.mock.calls[0].arguments[0];
+  assert.equal(input.Item.id, 'full-sync#shop');
+  assert.equal(input.Item.owner, 'owner-1');
+  assert.ok(input.Item.expiresAt >= startedAt + 60 * 1000);
+  assert.equal(input.Item.ttl, Math.floor(input.Item.expiresAt / 1000));
+  assert.equal(input.ConditionExpression, 'attribute_not_exists(id) OR expiresAt < :now OR #owner = :owner');
+});
+
+test('acquireSyncLock returns false while another owner holds the lock', async () => {
+  mock.method(DynamoDBDocumentClient.prototype, 'send', async () => { throw conditionalCheckFailed(); });
+  assert.equal(await acquireSyncLock('full-sync#shop', 'owner-2'), false);
+});
+
+test('releaseSyncLock only deletes a lock held by the owner', async () => {
+  const send = mock.method(DynamoDBDocumentClient.prototype, 'send', async () => ({}));
+  await releaseSyncLock('full-sync#shop', 'owner-1');
+  assert.equal(send.mock.calls[0].arguments[0].input.ExpressionAttributeValues[':owner'], 'owner-1');
+
+  // 锁已被其他执行获取时忽略
+  send.mock.mockImplementation(async () => { throw conditionalCheckFailed(); });
+  await releaseSyncLock('full-sync#shop', 'owner-1');
+
+  send.mock.mockImplementation(async () => { throw new Error('Throttled'); });
+  await assert.rejects(releaseSyncLock('full-sync#shop', 'owner-1'), /Throttled/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { batchWriteAll } from '../src/utils/common.mjs';
+
+const deletes = (count) => Array.from({ length: count }, (_, i) => ({ DeleteRequest: { Key: { id: String(i) } } }));
+
+test('batchWriteAll splits requests into batches of 25', async () => {
+  const calls = [];
+  const docClient = { send: async (command) => { calls.push(command.input); return {}; } };
+
+  await batchWriteAll(docClient, 'table', deletes(30));
+  assert.deepEqual(calls.map((input) => input.RequestItems.table.length), [25, 5]);
+});
+
+test('batchWriteAll retries unprocessed items until they are written', async () => {
+  const requests = deletes(3);
+  const calls = [];
+  const docClient = {
+    send: async (command) => {
+      calls.push(command.input);
+      return calls.length === 1 ? { UnprocessedItems: { table: requests.slice(1) } } : { UnprocessedItems: {} };
+    },
+  };
+
+  await batchWriteAll(docClient, 'table', requests, { baseDelayMs: 0 });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1].RequestItems, { table: requests.slice(1) });
+});
+
+test('batchWriteAll throws when items stay unprocessed after the retries', async () => {
+  const requests = deletes(2);
+  const docClient = { send: async () => ({ UnprocessedItems: { table: requests } }) };
+
+  await assert.rejects(batchWriteAll(docClient, 'table', requests, { baseDelayMs: 0 }), /2 unprocessed items/);
+});
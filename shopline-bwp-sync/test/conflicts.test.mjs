@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPaths, diffProducts, mergeThreeWay } from '../src/utils/conflicts.mjs';
+
+const sku = (fields = {}) => ({ sku: 'A', externalId: '11', title: 'Shirt', price: { amount: 10, currencyCode: 'USD' }, ...fields });
+const product = (fields = {}, skuFields = {}) => ({
+  externalId: '1',
+  title: 'Shirt',
+  description: 'Cotton',
+  status: 'ACTIVE',
+  skus: [sku(skuFields)],
+  ...fields,
+});
+
+// 上次同步时两边的快照相同
+const base = product();
+
+test('mergeThreeWay uses Shopline data when there are no snapshots', () => {
+  const shopline = product({ title: 'New' });
+  assert.deepEqual(mergeThreeWay({ shopline, bwp: product({ title: 'BWP' }) }), { data: shopline, conflicts: [] });
+});
+
+test('mergeThreeWay keeps fields changed only in BWP and takes fields changed only in Shopline', () => {
+  const { data, conflicts } = mergeThreeWay({
+    shopline: product({ title: 'Shirt v2' }),
+    bwp: product({ description: 'Edited in BWP' }),
+    shoplineBase: base,
+    bwpBase: base,
+  });
+
+  assert.equal(data.title, 'Shirt v2');
+  assert.equal(data.description, 'Edited in BWP');
+  assert.deepEqual(conflicts, []);
+});
+
+test('mergeThreeWay merges SKU fields by variant externalId', () => {
+  const { data, conflicts } = mergeThreeWay({
+    shopline: product({}, { title: 'Shirt - S' }),
+    bwp: product({}, { price: { amount: 12, currencyCode: 'USD' } }),
+    shoplineBase: base,
+    bwpBase: base,
+  });
+
+  assert.equal(data.skus[0].title, 'Shirt - S');
+  assert.deepEqual(data.skus[0].price, { amount: 12, currencyCode: 'USD' });
+  assert.deepEqual(conflicts, []);
+});
+
+test('mergeThreeWay does not report fields both sides changed to the same value', () => {
+  const { conflicts } = mergeThreeWay({
+    shopline: product({ title: 'Same' }),
+    bwp: product({ title: 'Same' }),
+    shoplineBase: base,
+    bwpBase: base,
+  });
+  assert.deepEqual(conflicts, []);
+});
+
+test('mergeThreeWay resolves fields both sides changed by the conflict policy', () => {
+  const input = {
+    shopline: product({ title: 'From Shopline' }),
+    bwp: product({ title: 'From BWP' }),
+    shoplineBase: base,
+    bwpBase: base,
+  };
+  const expectedConflict = { path: 'title', base: 'Shirt', shopline: 'From Shopline', bwp: 'From BWP' };
+
+  const shoplineWins = mergeThreeWay({ ...input, policy: 'shopline-wins' });
+  assert.equal(shoplineWins.data.title, 'From Shopline');
+  assert.deepEqual(shoplineWins.conflicts, [expectedConflict]);
+
+  for (const policy of ['bwp-wins', 'manual']) {
+    const result = mergeThreeWay({ ...input, policy });
+    assert.equal(result.data.title, 'From BWP');
+    assert.deepEqual(result.conflicts, [expectedConflict]);
+  }
+});
+
+test('diffProducts lists changed paths with values before and after', () => {
+  assert.deepEqual(diffProducts(base, product({ title: 'New' }, { sku: 'B' })), [
+    { path: 'title', before: 'Shirt', after: 'New' },
+    { path: 'skus/11/sku', before: 'A', after: 'B' },
+  ]);
+  assert.equal(diffProducts(base, base).length, 0);
+  // 新建时所有字段都是变化
+  assert.ok(diffProducts(null, base).every((change) => change.before === null));
+});
+
+test('applyPaths copies the selected paths from the source', () => {
+  const data = applyPaths(product({ title: 'Merged' }), product({ title: 'Chosen', status: 'INACTIVE' }, { sku: 'Z' }), ['title', 'skus/11/sku']);
+  assert.equal(data.title, 'Chosen');
+  assert.equal(data.status, 'ACTIVE');
+  assert.equal(data.skus[0].sku, 'Z');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucket, parseRetryAfter, withQuery, withRateLimit } from '../src/utils/http.mjs';
+
+// 按顺序返回预设响应（Error 时抛出）并记录请求次数的 transport
+function fakeTransport(responses) {
+  const transport = async () => {
+    transport.calls += 1;
+    const response = responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  };
+  transport.calls = 0;
+  return transport;
+}
+
+const fastRetry = { retries: 2, baseDelayMs: 1, maxDelayMs: 5 };
+
+test('TokenBucket allows a burst up to capacity and then waits for refill', async () => {
+  const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 20 });
+  const startedAt = Date.now();
+  await bucket.take();
+  await bucket.take();
+  assert.ok(Date.now() - startedAt < 20);
+
+  await bucket.take();
+  assert.ok(Date.now() - startedAt >= 40);
+});
+
+test('TokenBucket.drain makes the next request wait', async () => {
+  const bucket = new TokenBucket({ capacity: 5, refillPerSecond: 20 });
+  bucket.drain();
+  const startedAt = Date.now();
+  await bucket.take();
+  assert.ok(Date.now() - startedAt >= 40);
+});
+
+test('parseRetryAfter reads seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter({ 'retry-after': '2' }), 2000);
+  assert.equal(parseRetryAfter({ 'Retry-After': '0' }), 0);
+  const inFuture = parseRetryAfter({ 'retry-after': new Date(Date.now() + 5000).toUTCString() });
+  assert.ok(inFuture > 3000 && inFuture <= 5000);
+  assert.equal(parseRetryAfter({ 'retry-after': 'soon' }), null);
+  assert.equal(parseRetryAfter({}), null);
+});
+
+test('withRateLimit retries 429 and drains the limiter', async () => {
+  const transport = fakeTransport([
+    { status: 429, headers: { 'retry-after': '0' } },
+    { status: 200, headers: {}, data: 'ok' },
+  ]);
+  const limiter = new TokenBucket({ capacity: 10, refillPerSecond: 1000 });
+  const response = await withRateLimit(transport, { ...fastRetry, limiter })({ method: 'POST' });
+
+  assert.equal(response.status, 200);
+  assert.equal(transport.calls, 2);
+});
+
+test('withRateLimit retries 5xx and network errors only for idempotent methods', async () => {
+  const get = fakeTransport([new Error('socket hang up'), { status: 503, headers: {} }, { status: 200, headers: {} }]);
+  assert.equal((await withRateLimit(get, fastRetry)({ method: 'GET' })).status, 200);
+  assert.equal(get.calls, 3);
+
+  const post = fakeTransport([{ status: 503, headers: {} }]);
+  assert.equal((await withRateLimit(post, fastRetry)({ method: 'POST' })).status, 503);
+  assert.equal(post.calls, 1);
+
+  const postError = fakeTransport([new Error('socket hang up')]);
+  await assert.rejects(withRateLimit(postError, fastRetry)({ method: 'POST' }), /socket hang up/);
+  assert.equal(postError.calls, 1);
+});
+
+test('withRateLimit returns the last response after the retries are used up', async () => {
+  const transport = fakeTransport([{ status: 429, headers: {} }, { status: 429, headers: {} }, { status: 429, headers: {} }]);
+  assert.equal((await withRateLimit(transport, fastRetry)({ method: 'GET' })).status, 429);
+  assert.equal(transport.calls, 3);
+});
+
+test('withRateLimit does not retry other 4xx responses', async () => {
+  const transport = fakeTransport([{ status: 404, headers: {} }]);
+  assert.equal((await withRateLimit(transport, fastRetry)({ method: 'GET' })).status, 404);
+  assert.equal(transport.calls, 1);
+});
+
+test('withQuery skips undefined and null values', () => {
+  assert.equal(withQuery('https://api/products', { limit: 10, page_info: undefined, status: null }), 'https://api/products?limit=10');
+  assert.equal(withQuery('https://api/products'), 'https://api/products');
+});
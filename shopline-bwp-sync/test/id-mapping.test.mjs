@@ -0,0 +1,34 @@
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { SYNC_STATUS, checkProductSync, reserveProductSync } from '../src/utils/id-mapping.mjs';
+
+afterEach(() => mock.restoreAll());
+
+test('checkProductSync syncs products that have never been synced', () => {
+  assert.deepEqual(checkProductSync(null, { contentHash: 'a', sourceUpdatedAt: 1 }), { shouldSync: true });
+});
+
+test('checkProductSync skips versions older than the last synced one', () => {
+  const mapping = { status: SYNC_STATUS.SYNCED, contentHash: 'a', sourceUpdatedAt: 2000 };
+  assert.deepEqual(checkProductSync(mapping, { contentHash: 'b', sourceUpdatedAt: 1000 }), { shouldSync: false, reason: 'stale' });
+});
+
+test('checkProductSync skips unchanged content only after a completed sync', () => {
+  const mapping = { status: SYNC_STATUS.SYNCED, contentHash: 'a', sourceUpdatedAt: 1000 };
+  assert.deepEqual(checkProductSync(mapping, { contentHash: 'a', sourceUpdatedAt: 2000 }), { shouldSync: false, reason: 'unchanged' });
+  assert.deepEqual(checkProductSync(mapping, { contentHash: 'b', sourceUpdatedAt: 2000 }), { shouldSync: true });
+  // 上次同步失败时即使内容相同也要重试
+  assert.deepEqual(checkProductSync({ ...mapping, status: SYNC_STATUS.ERROR }, { contentHash: 'a', sourceUpdatedAt: 2000 }), { shouldSync: true });
+});
+
+test('reserveProductSync returns false when a newer version is already reserved', async () => {
+  const send = mock.method(DynamoDBDocumentClient.prototype, 'send', async () => ({}));
+  assert.equal(await reserveProductSync('shop', '1', 1000), true);
+  assert.equal(send.mock.calls[0].arguments[0].input.ExpressionAttributeValues[':sourceUpdatedAt'], 1000);
+
+  send.mock.mockImplementation(async () => {
+    throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+  });
+  assert.equal(await reserveProductSync('shop', '1', 500), false);
+});
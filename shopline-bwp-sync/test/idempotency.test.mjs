@@ -0,0 +1,51 @@
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { claimWebhook, consumeEcho, hashContent } from '../src/utils/idempotency.mjs';
+
+// DynamoDB 条件写入失败时 SDK 抛出的错误
+const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+afterEach(() => mock.restoreAll());
+
+test('hashContent ignores key order and undefined values', () => {
+  assert.equal(
+    hashContent({ title: 'Shirt', skus: [{ sku: 'A', price: 1 }], note: undefined }),
+    hashContent({ skus: [{ price: 1, sku: 'A' }], title: 'Shirt' })
+  );
+});
+
+test('hashContent changes when a value or the array order changes', () => {
+  const base = hashContent({ skus: ['A', 'B'], title: 'Shirt' });
+  assert.notEqual(hashContent({ skus: ['A', 'B'], title: 'Shirts' }), base);
+  assert.notEqual(hashContent({ skus: ['B', 'A'], title: 'Shirt' }), base);
+});
+
+test('claimWebhook writes an in-progress record that only a missing or expired record allows', async () => {
+  const send = mock.method(DynamoDBDocumentClient.prototype, 'send', async () => ({}));
+
+  assert.equal(await claimWebhook('shop', 'webhook-1'), true);
+  const { input } = send.mock.calls[0].arguments[0];
+  assert.equal(input.Item.id, 'webhook#shop#webhook-1');
+  assert.equal(input.Item.status, 'in_progress');
+  assert.match(input.ConditionExpression, /attribute_not_exists\(id\)/);
+});
+
+test('claimWebhook returns false for a webhook that is processed or being processed', async () => {
+  mock.method(DynamoDBDocumentClient.prototype, 'send', async () => { throw conditionalCheckFailed(); });
+  assert.equal(await claimWebhook('shop', 'webhook-1'), false);
+});
+
+test('claimWebhook rethrows other DynamoDB errors', async () => {
+  mock.method(DynamoDBDocumentClient.prototype, 'send', async () => { throw new Error('Throttled'); });
+  await assert.rejects(claimWebhook('shop', 'webhook-1'), /Throttled/);
+});
+
+test('consumeEcho only consumes a matching fingerprint', async () => {
+  const send = mock.method(DynamoDBDocumentClient.prototype, 'send', async () => ({}));
+  assert.equal(await consumeEcho('shop', 'product', '1', 'hash'), true);
+  assert.equal(send.mock.calls[0].arguments[0].input.ExpressionAttributeValues[':fingerprint'], 'hash');
+
+  send.mock.mockImplementation(async () => { throw conditionalCheckFailed(); });
+  assert.equal(await consumeEcho('shop', 'product', '1', 'other'), false);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MAPPING_CONFIG, validateMappingConfig } from '../src/utils/mapping-config.mjs';
+
+test('validateMappingConfig accepts the default config', () => {
+  assert.deepEqual(validateMappingConfig(DEFAULT_MAPPING_CONFIG), []);
+});
+
+test('validateMappingConfig reports every invalid driftReport field', () => {
+  assert.deepEqual(validateMappingConfig({ driftReport: { enabled: 'yes', threshold: 2, days: 7 } }), [
+    'unknown field: driftReport.days',
+    'driftReport.enabled must be a boolean',
+    'driftReport.threshold must be a number between 0 and 1',
+  ]);
+  assert.deepEqual(validateMappingConfig({ driftReport: null }), ['driftReport must be an object']);
+});
+
+test('validateMappingConfig collects errors from independent fields', () => {
+  assert.deepEqual(validateMappingConfig({ excludeCollections: 'c1', driftReport: { threshold: -1 } }), [
+    'excludeCollections must be an array of collection ids',
+    'driftReport.threshold must be a number between 0 and 1',
+  ]);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToBWPFormat, hasDifferences, isExcluded, stripHtml, toBarcode } from '../src/utils/product-mapping.mjs';
+
+const product = {
+  id: 1001,
+  title: 'Shirt',
+  body_html: '<p>Soft&nbsp;cotton</p>',
+  status: 'draft',
+  tags: 'summer, sale',
+  options: [{ name: 'Size', position: 1 }],
+  images: [
+    { id: 2, src: 'https://img/2.jpg', position: 2 },
+    { id: 1, src: 'https://img/1.jpg', position: 1 },
+  ],
+  variants: [
+    { id: 11, sku: 'SHIRT-S', title: 'S', option1: 'S', price: '19.999', barcode: '012345678905', image_id: 2, weight: 0.2 },
+    { id: 12, sku: '', title: 'M', option1: 'M', price: '20', compare_at_price: '25' },
+  ],
+};
+
+test('convertToBWPFormat maps the product and one SKU per variant', () => {
+  const bwpProduct = convertToBWPFormat(product, { currency: 'EUR' });
+
+  assert.equal(bwpProduct.externalId, '1001');
+  assert.equal(bwpProduct.status, 'INACTIVE');
+  assert.deepEqual(bwpProduct.skus[0], {
+    sku: 'SHIRT-S',
+    externalId: '11',
+    title: 'Shirt - S',
+    price: { amount: 20, currencyCode: 'EUR' },
+    compareAtPrice: null,
+    barcode: { type: 'UPC', value: '012345678905' },
+    weight: { value: 0.2, unit: 'kg' },
+    dimensions: null,
+    imageUrls: ['https://img/2.jpg', 'https://img/1.jpg'],
+    options: [{ name: 'Size', value: 'S' }],
+  });
+  // 没有 SKU 的变体使用变体 ID
+  assert.equal(bwpProduct.skus[1].sku, '12');
+  assert.deepEqual(bwpProduct.skus[1].compareAtPrice, { amount: 25, currencyCode: 'EUR' });
+});
+
+test('convertToBWPFormat applies the SKU source, price multiplier and HTML stripping from the mapping config', () => {
+  const config = { skuSource: { type: 'barcode' }, priceMultiplier: 1.1, stripHtml: true };
+  const bwpProduct = convertToBWPFormat(product, { config });
+
+  assert.equal(bwpProduct.description, 'Soft cotton');
+  assert.equal(bwpProduct.skus[0].sku, '012345678905');
+  assert.deepEqual(bwpProduct.skus[1].price, { amount: 22, currencyCode: 'USD' });
+});
+
+test('toBarcode detects the GTIN type by length and keeps other codes as OTHER', () => {
+  assert.deepEqual(toBarcode('4006381333931'), { type: 'EAN', value: '4006381333931' });
+  assert.deepEqual(toBarcode('ABC-1'), { type: 'OTHER', value: 'ABC-1' });
+  assert.equal(toBarcode(''), null);
+});
+
+test('isExcluded matches excluded tags case-insensitively and excluded collections', () => {
+  assert.equal(isExcluded(product, { excludeTags: ['SALE'] }), true);
+  assert.equal(isExcluded({ ...product, collection_ids: [7] }, { excludeCollections: ['7'] }), true);
+  assert.equal(isExcluded(product, { excludeTags: ['winter'] }), false);
+});
+
+test('stripHtml removes tags and decodes common entities', () => {
+  assert.equal(stripHtml('<p>A &amp; B</p><script>x()</script><p>C</p>'), 'A & B\nC');
+});
+
+test('hasDifferences ignores SKU order and fields BWP does not compare', () => {
+  const bwpData = convertToBWPFormat(product);
+  const bwpProduct = { ...bwpData, id: 'bwp-1', skus: [...bwpData.skus].reverse() };
+
+  assert.equal(hasDifferences(bwpData, bwpProduct), false);
+  assert.equal(hasDifferences(bwpData, { ...bwpProduct, title: 'Shirt v2' }), true);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { getAuthorizedHandle, issueSessionToken, verifySessionToken } from '../src/utils/session.mjs';
+
+const now = Date.UTC(2024, 0, 1);
+
+// 用相同的密钥签发任意内容的 token
+function signToken(header, payload, secret) {
+  const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+test('verifySessionToken returns the payload of a token it issued', () => {
+  const { token, expiresAt } = issueSessionToken('my-shop', 'secret', { ttlSeconds: 60, now });
+
+  assert.equal(expiresAt, now + 60 * 1000);
+  const payload = verifySessionToken(token, 'secret', { now: now + 1000 });
+  assert.equal(payload.sub, 'my-shop');
+  assert.equal(payload.iss, 'shopline-bwp-sync');
+});
+
+test('verifySessionToken rejects expired tokens', () => {
+  const { token } = issueSessionToken('my-shop', 'secret', { ttlSeconds: 60, now });
+  assert.equal(verifySessionToken(token, 'secret', { now: now + 60 * 1000 }), null);
+});
+
+test('verifySessionToken rejects a wrong secret or a modified payload', () => {
+  const { token } = issueSessionToken('my-shop', 'secret', { now });
+  assert.equal(verifySessionToken(token, 'other-secret', { now }), null);
+
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ iss: 'shopline-bwp-sync', sub: 'other-shop', exp: now / 1000 + 60 })).toString('base64url');
+  assert.equal(verifySessionToken(`${header}.${forged}.${signature}`, 'secret', { now }), null);
+});
+
+test('verifySessionToken rejects other algorithms, issuers and malformed tokens', () => {
+  const payload = { iss: 'shopline-bwp-sync', sub: 'my-shop', exp: now / 1000 + 60 };
+  assert.equal(verifySessionToken(signToken({ alg: 'none', typ: 'JWT' }, payload, 'secret'), 'secret', { now }), null);
+  assert.equal(verifySessionToken(signToken({ alg: 'HS256', typ: 'JWT' }, { ...payload, iss: 'other' }, 'secret'), 'secret', { now }), null);
+  assert.equal(verifySessionToken(signToken({ alg: 'HS256', typ: 'JWT' }, { ...payload, exp: undefined }, 'secret'), 'secret', { now }), null);
+  assert.equal(verifySessionToken('a.b', 'secret', { now }), null);
+  assert.equal(verifySessionToken(undefined, 'secret', { now }), null);
+});
+
+test('getAuthorizedHandle only accepts a handle query parameter that matches the session', () => {
+  const event = (handle) => ({ requestContext: { authorizer: { handle: 'my-shop' } }, queryStringParameters: handle ? { handle } : null });
+
+  assert.equal(getAuthorizedHandle(event()), 'my-shop');
+  assert.equal(getAuthorizedHandle(event('my-shop')), 'my-shop');
+  assert.equal(getAuthorizedHandle(event('other-shop')), null);
+  assert.equal(getAuthorizedHandle({ queryStringParameters: { handle: 'my-shop' } }), null);
+});
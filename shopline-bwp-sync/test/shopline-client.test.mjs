@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { ShoplineClient, generateBodySign, generateSign, parseNextPageInfo, verifySign } from '../src/utils/shopline-client.mjs';
+import { HttpError } from '../src/utils/http.mjs';
+
+// 按顺序返回预设响应并记录请求的 transport
+function fakeTransport(responses) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    return responses.shift();
+  };
+  return { transport, requests };
+}
+
+// 每个测试使用不同的 handle，避免共享令牌桶
+function createClient(handle, transport) {
+  return new ShoplineClient({ handle, accessToken: 'token', transport, retry: { retries: 0 } });
+}
+
+test('generateSign signs parameters sorted by key', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('appkey=key&handle=shop&timestamp=1').digest('hex');
+  assert.equal(generateSign({ timestamp: '1', handle: 'shop', appkey: 'key' }, 'secret'), expected);
+});
+
+test('verifySign accepts a valid sign and rejects a tampered or missing one', () => {
+  const params = { appkey: 'key', handle: 'shop', timestamp: '1' };
+  const sign = generateSign(params, 'secret');
+
+  assert.equal(verifySign({ ...params, sign }, 'secret'), true);
+  assert.equal(verifySign({ ...params, handle: 'other', sign }, 'secret'), false);
+  assert.equal(verifySign({ ...params, sign }, 'wrong-secret'), false);
+  assert.equal(verifySign({ ...params, sign: 'short' }, 'secret'), false);
+  assert.equal(verifySign(params, 'secret'), false);
+});
+
+test('generateBodySign signs the body followed by the timestamp', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('{"code":"c"}123').digest('hex');
+  assert.equal(generateBodySign('{"code":"c"}', '123', 'secret'), expected);
+});
+
+test('parseNextPageInfo reads page_info from the next link only', () => {
+  const link = '<https://shop.myshopline.com/admin/openapi/v20230901/products?page_info=prev&limit=100>; rel="previous", '
+    + '<https://shop.myshopline.com/admin/openapi/v20230901/products?page_info=next&limit=100>; rel="next"';
+
+  assert.equal(parseNextPageInfo(link), 'next');
+  assert.equal(parseNextPageInfo('<https://shop.myshopline.com/products?page_info=prev>; rel="previous"'), null);
+  assert.equal(parseNextPageInfo(undefined), null);
+});
+
+test('request sends the access token to the versioned OpenAPI path and returns the body', async () => {
+  const { transport, requests } = fakeTransport([{ status: 200, headers: {}, data: { data: { id: '1' } } }]);
+  const client = createClient('request-shop', transport);
+
+  assert.deepEqual(await client.getProduct('1'), { id: '1' });
+  assert.equal(requests[0].method, 'GET');
+  assert.equal(requests[0].url, 'https://request-shop.myshopline.com/admin/openapi/v20230901/products/1');
+  assert.equal(requests[0].headers.Authorization, 'Bearer token');
+});
+
+test('request throws HttpError for non-2xx responses', async () => {
+  const { transport } = fakeTransport([{ status: 404, headers: {}, data: { message: 'Not Found' } }]);
+  const client = createClient('error-shop', transport);
+
+  await assert.rejects(client.getProduct('1'), (error) => error instanceof HttpError && error.status === 404);
+});
+
+test('iterateProductPages follows page_info until the last page', async () => {
+  const { transport, requests } = fakeTransport([
+    {
+      status: 200,
+      headers: { link: '<https://page-shop.myshopline.com/admin/openapi/v20230901/products?page_info=p2&limit=2>; rel="next"' },
+      data: { data: [{ id: '1' }, { id: '2' }] },
+    },
+    { status: 200, headers: {}, data: { data: [{ id: '3' }] } },
+  ]);
+  const client = createClient('page-shop', transport);
+
+  const pages = [];
+  for await (const page of client.iterateProductPages({ limit: 2, status: 'active' })) {
+    pages.push(page);
+  }
+
+  assert.deepEqual(pages.map((page) => page.items.map((item) => item.id)), [['1', '2'], ['3']]);
+  assert.deepEqual(pages.map((page) => page.pageInfo), [undefined, 'p2']);
+  // 第一页携带筛选条件，之后只使用 page_info
+  assert.equal(new URL(requests[0].url).searchParams.get('status'), 'active');
+  assert.deepEqual(Object.fromEntries(new URL(requests[1].url).searchParams), { page_info: 'p2', limit: '2' });
+});
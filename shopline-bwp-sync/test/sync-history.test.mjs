@@ -0,0 +1,49 @@
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { MAX_RUN_ERRORS, createRunTally, saveSyncRun, tallyError } from '../src/utils/sync-history.mjs';
+
+afterEach(() => mock.restoreAll());
+
+const run = { handle: 'shop', id: 'run-1', key: 'run#2024-01-01T00:00:00.000Z#run-1', trigger: 'scheduled' };
+
+function tallyWithErrors(count) {
+  const tally = createRunTally();
+  for (let i = 0; i < count; i++) {
+    tallyError(tally, i + 1, new Error(`failed ${i + 1}`));
+  }
+  return tally;
+}
+
+// 第一次 UpdateCommand 返回累加后的 errorCount
+function mockUpdates(errorCount) {
+  return mock.method(DynamoDBDocumentClient.prototype, 'send', async (command) => (
+    command.input.ReturnValues === 'UPDATED_NEW' ? { Attributes: { errorCount } } : {}
+  ));
+}
+
+test('saveSyncRun counts every error and stores them while under the cap', async () => {
+  const send = mockUpdates(3);
+  await saveSyncRun(run, tallyWithErrors(3), { status: 'running' });
+
+  const [counters, errors] = send.mock.calls.map((call) => call.arguments[0].input);
+  assert.equal(counters.ExpressionAttributeValues[':errorCount'], 3);
+  assert.equal(counters.ExpressionAttributeValues[':failed'], 3);
+  assert.equal(errors.ExpressionAttributeValues[':errors'].length, 3);
+});
+
+test('saveSyncRun only stores errors up to the cap across resumed invocations', async () => {
+  const send = mockUpdates(MAX_RUN_ERRORS + 2);
+  await saveSyncRun(run, tallyWithErrors(5), { status: 'running' });
+
+  const errors = send.mock.calls[1].arguments[0].input.ExpressionAttributeValues[':errors'];
+  assert.deepEqual(errors.map((error) => error.productId), ['1', '2', '3']);
+});
+
+test('saveSyncRun stores no more errors once the cap is reached', async () => {
+  const send = mockUpdates(MAX_RUN_ERRORS + 10);
+  await saveSyncRun(run, tallyWithErrors(10), { status: 'completed' });
+
+  assert.equal(send.mock.callCount(), 1);
+  assert.match(send.mock.calls[0].arguments[0].input.UpdateExpression, /endedAt = :now/);
+});
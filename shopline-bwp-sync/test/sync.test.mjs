@@ -0,0 +1,89 @@
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { HttpError } from '../src/utils/http.mjs';
+import { DEFAULT_MAPPING_CONFIG } from '../src/utils/mapping-config.mjs';
+import { pushProductToBWP } from '../src/utils/sync.mjs';
+
+afterEach(() => mock.restoreAll());
+
+const bwpError = (status) => new HttpError({ method: 'POST', url: 'https://bwp.example/products' }, { status });
+
+const shoplineProduct = {
+  id: 101,
+  title: '商品',
+  status: 'active',
+  updated_at: '2024-01-01T00:00:00Z',
+  variants: [{ id: 201, sku: 'SKU-1', price: '10.00' }],
+};
+
+// 映射表中没有记录，回声记录不存在，其他写入直接成功
+function mockDynamo() {
+  return mock.method(DynamoDBDocumentClient.prototype, 'send', async (command) => {
+    if (command.constructor.name === 'DeleteCommand') {
+      throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+    }
+    return {};
+  });
+}
+
+const pushProduct = (bwpClient, writeRetries) => pushProductToBWP({
+  handle: 'shop',
+  bwpClient,
+  shoplineProduct,
+  bwpProduct: null,
+  mappingOptions: { currency: 'USD', config: DEFAULT_MAPPING_CONFIG },
+  writeRetries,
+});
+
+test('pushProductToBWP retries a failed BWP create and creates the product once', async () => {
+  mockDynamo();
+  let attempts = 0;
+  const bwpClient = {
+    createProduct: mock.fn(async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw bwpError(503);
+      }
+      return { id: 'bwp-1', skus: [] };
+    }),
+    findProductByExternalId: mock.fn(async () => null),
+    updateProduct: mock.fn(),
+  };
+
+  const result = await pushProduct(bwpClient, 2);
+
+  assert.deepEqual(result, { action: 'created', productId: 101, bwpProductId: 'bwp-1' });
+  assert.equal(bwpClient.createProduct.mock.callCount(), 2);
+  assert.deepEqual(bwpClient.findProductByExternalId.mock.calls[0].arguments, [101]);
+  assert.equal(bwpClient.updateProduct.mock.callCount(), 0);
+});
+
+test('pushProductToBWP updates the product a failed create already made instead of creating it again', async () => {
+  mockDynamo();
+  const bwpClient = {
+    createProduct: mock.fn(async () => { throw bwpError(504); }),
+    findProductByExternalId: mock.fn(async () => ({ id: 'bwp-1', externalId: '101', skus: [] })),
+    updateProduct: mock.fn(async () => ({})),
+  };
+
+  const result = await pushProduct(bwpClient, 2);
+
+  assert.equal(result.action, 'updated');
+  assert.equal(result.bwpProductId, 'bwp-1');
+  assert.equal(bwpClient.createProduct.mock.callCount(), 1);
+  assert.equal(bwpClient.updateProduct.mock.calls[0].arguments[0], 'bwp-1');
+});
+
+test('pushProductToBWP marks the product as failed once the retries are used up', async () => {
+  const send = mockDynamo();
+  const bwpClient = {
+    createProduct: mock.fn(async () => { throw bwpError(503); }),
+    findProductByExternalId: mock.fn(async () => null),
+  };
+
+  await assert.rejects(pushProduct(bwpClient, 0), /status 503/);
+  assert.equal(bwpClient.createProduct.mock.callCount(), 1);
+  const failed = send.mock.calls.map((call) => call.arguments[0].input).find((input) => input.ExpressionAttributeValues?.[':error'] === 'error');
+  assert.ok(failed);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  getRawBody,
+  getWebhookTimestamp,
+  isWithinReplayWindow,
+  normalizeHeaders,
+  parseShopHandle,
+  verifyWebhookSignature,
+} from '../src/utils/webhook.mjs';
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+
+test('verifyWebhookSignature accepts the HMAC of the raw body', () => {
+  const body = '{"id":1,"title":"商品"}';
+  assert.equal(verifyWebhookSignature(body, sign(body, 'secret'), 'secret'), true);
+});
+
+test('verifyWebhookSignature rejects a modified body, wrong secret or missing signature', () => {
+  const body = '{"id":1}';
+  const signature = sign(body, 'secret');
+
+  assert.equal(verifyWebhookSignature('{"id":2}', signature, 'secret'), false);
+  assert.equal(verifyWebhookSignature(body, signature, 'other-secret'), false);
+  assert.equal(verifyWebhookSignature(body, signature.slice(1), 'secret'), false);
+  assert.equal(verifyWebhookSignature(body, undefined, 'secret'), false);
+});
+
+test('getRawBody decodes base64 bodies so the signature is computed on the original text', () => {
+  const body = '{"id":1}';
+  assert.equal(getRawBody({ body: Buffer.from(body).toString('base64'), isBase64Encoded: true }), body);
+  assert.equal(getRawBody({ body }), body);
+  assert.equal(getRawBody({ body: null }), '');
+});
+
+test('normalizeHeaders lower-cases header names', () => {
+  assert.deepEqual(normalizeHeaders({ 'X-Shopline-Topic': 'products/update' }), { 'x-shopline-topic': 'products/update' });
+  assert.deepEqual(normalizeHeaders(null), {});
+});
+
+test('parseShopHandle takes the handle from the shop domain', () => {
+  assert.equal(parseShopHandle('my-shop.myshopline.com'), 'my-shop');
+  assert.equal(parseShopHandle(undefined), null);
+});
+
+test('getWebhookTimestamp reads updated_at, falling back to created_at', () => {
+  assert.equal(getWebhookTimestamp({ updated_at: '2024-01-01T00:00:00Z', created_at: '2023-01-01T00:00:00Z' }), Date.parse('2024-01-01T00:00:00Z'));
+  assert.equal(getWebhookTimestamp({ created_at: '2023-01-01T00:00:00Z' }), Date.parse('2023-01-01T00:00:00Z'));
+  assert.equal(getWebhookTimestamp({ id: 1 }), null);
+  assert.equal(getWebhookTimestamp({ updated_at: 'not a date' }), null);
+});
+
+test('isWithinReplayWindow rejects bodies older or newer than the allowed age', () => {
+  const now = Date.parse('2024-01-01T12:00:00Z');
+  const maxAgeMs = 60 * 60 * 1000;
+
+  assert.equal(isWithinReplayWindow({ updated_at: '2024-01-01T11:30:00Z' }, maxAgeMs, now), true);
+  assert.equal(isWithinReplayWindow({ updated_at: '2024-01-01T10:00:00Z' }, maxAgeMs, now), false);
+  assert.equal(isWithinReplayWindow({ updated_at: '2024-01-01T14:00:00Z' }, maxAgeMs, now), false);
+  // 没有时间的请求体（如产品删除）由处理时向 Shopline 确认
+  assert.equal(isWithinReplayWindow({ id: 1 }, maxAgeMs, now), true);
+});